@@ -0,0 +1,211 @@
+import { Socket } from "./Socket.mjs"
+import { json } from "./Codec.js"
+
+/**
+ * Bridges are sockets connected to a transport: anything able to carry messages to a complement that lives outside of this VM (or thread).
+ * The bridge plays the complement's side of the socket connection protocol on behalf of the transport, so the resulting socket is like any other connected socket:
+ * messages sent through it are written to the transport, messages read from the transport flow through its "messages" iterable,
+ * disconnecting it closes the transport, and the transport closing (or failing) disconnects it.
+ * Transports that carry bytes (or text) rather than objects, use a codec (see Codec.js) to encode messages into them, and decode messages out of them.
+ * The socket's control frames (see Socket) share the transport with its messages, as reserved frames: ["keepalive:ping", id] and ["keepalive:pong", id].
+ * Messages that could be mistaken for them (any message whose first element is a string starting with "keepalive:") are escaped as ["keepalive:data", ...message] on the way, so messages go through untouched whatever they hold.
+ */
+
+// Prefix of the reserved frames, and the frame escaping messages that start with it
+const reservedPrefix = "keepalive:"
+const escapedFrame = "keepalive:data"
+const isReserved = (message) => Array.isArray(message) && typeof message[0] === "string" && message[0].startsWith(reservedPrefix)
+
+/**
+ * Creates a socket, and connects it to a transport.
+ * @param {Function} write Writes a message (array) to the transport, calling back once it has been written (or failed to)
+ * @param {Function} close Closes the transport
+ * @param {Object} options Socket options (see Socket)
+ * @returns {Object} The socket connection promise, and the callbacks the transport events must be mapped to
+ */
+function createBridge(write, close, options) {
+	const socket = new Socket(options)
+	// Capabilities the transport uses to deliver messages and control frames to the socket (set when the socket accepts the offer)
+	var receive = () => { }
+	var control = () => { }
+	/**
+	 * Connection offer made on behalf of the transport
+	 * @param socketReceive
+	 * @param socketDisconnect
+	 * @param socketConnectionOffer
+	 * @param socketControl
+	 */
+	const offer = (socketReceive, socketDisconnect, socketConnectionOffer, socketControl) => {
+		receive = socketReceive
+		control = socketControl
+		// Completing the connection with the transport's capabilities
+		socketConnectionOffer(
+			// Senders awaiting delivery are notified once the message has been written (the transport can not tell when the complement pulls it)
+			(message, deliveryHandler) => write(isReserved(message) ? [escapedFrame, ...message] : message, (error) => {
+				if (deliveryHandler) error ? deliveryHandler.reject(error) : deliveryHandler.resolve()
+			}),
+			// Once disconnected (either end), the transport no longer delivers messages to the socket
+			() => {
+				receive = () => { }
+				control = () => { }
+				close()
+			},
+			undefined,
+			(type, id) => write([reservedPrefix + type, id], () => { })
+		)
+	}
+	return {
+		connected: socket.connect(async () => offer),
+		// Telling control frames from messages (and unescaping the messages that look like them)
+		receive: (message) => {
+			if (!isReserved(message)) return receive(message)
+			if (message[0] === escapedFrame) return receive(message.slice(1))
+			control(message[0].slice(reservedPrefix.length), message[1])
+		},
+		// Disconnecting the socket (failing its message iterations if there is an error), as the transport is gone
+		disconnect: (error) => socket.disconnect(error, error ? "error" : "remote")
+	}
+}
+
+/**
+ * Decodes the messages in a chunk of data read from a transport, and delivers them to the bridge (disconnecting it with an error if the data can not be decoded)
+ * @param {Object} bridge
+ * @param {Function} decode Decoder created by the transport's codec
+ * @returns {Function} Chunk receiving function
+ */
+const receiveEncoded = (bridge, decode) => (chunk) => {
+	try {
+		for (const message of decode(chunk)) bridge.receive(message)
+	}
+	catch (error) {
+		bridge.disconnect(error)
+	}
+}
+
+/**
+ * Bridges a WHATWG WebSocket (or alike: anything with "send", "close", "readyState", and either "addEventListener" or "on..." event handler properties).
+ * @param {WebSocket} webSocket
+ * @param {Object} options
+ * @param {Object} options.codec Codec messages are sent with (newline delimited JSON by default)
+ * @param {...any} options.socketOptions Any other option is passed on to the socket (like "keepalive", see Socket)
+ * @returns {Promise<Socket>} Resolves once the web socket is open, and the socket connected to it
+ */
+export async function bridgeWebSocket(webSocket, { codec = json, ...socketOptions } = {}) {
+	const listen = (type, listener) => webSocket.addEventListener ? webSocket.addEventListener(type, listener) : webSocket["on" + type] = listener
+	// Waiting for the web socket to open
+	if (webSocket.readyState === 0) {
+		await new Promise((resolve, reject) => {
+			listen("open", resolve)
+			listen("error", () => reject(new Error("WebSocket failed to open")))
+			listen("close", () => reject(new Error("WebSocket closed before opening")))
+		})
+	}
+	else if (webSocket.readyState !== 1) throw new Error("WebSocket is closed")
+
+	const bridge = createBridge(
+		(message, callback) => {
+			webSocket.send(codec.encode(message))
+			callback()
+		},
+		() => webSocket.close(),
+		socketOptions
+	)
+	const receive = receiveEncoded(bridge, codec.createDecoder())
+	listen("message", (event) => receive(event.data))
+	// Web socket error events carry no error object, so one is made up for them
+	listen("error", () => bridge.disconnect(new Error("WebSocket error")))
+	listen("close", () => bridge.disconnect())
+	return bridge.connected
+}
+
+/**
+ * Bridges a pair of Node streams (a readable and a writable one), like a child process stdout and stdin.
+ * @param {stream.Readable} readable
+ * @param {stream.Writable} writable
+ * @param {Object} options
+ * @param {Object} options.codec Codec messages are sent with (newline delimited JSON by default)
+ * @param {...any} options.socketOptions Any other option is passed on to the socket (like "keepalive", see Socket)
+ * @returns {Promise<Socket>}
+ */
+export async function bridgeStreams(readable, writable, { codec = json, ...socketOptions } = {}) {
+	// Waiting for a socket (e.g. net.Socket) to connect
+	if (writable.connecting) {
+		await new Promise((resolve, reject) => {
+			writable.once("connect", resolve)
+			writable.once("error", reject)
+		})
+	}
+
+	const bridge = createBridge(
+		(message, callback) => writable.write(codec.encode(message), callback),
+		() => {
+			writable.end()
+			if (readable !== writable) readable.destroy()
+		},
+		socketOptions
+	)
+	readable.on("data", receiveEncoded(bridge, codec.createDecoder()))
+	for (const stream of new Set([readable, writable])) {
+		stream.on("error", (error) => bridge.disconnect(error))
+		stream.on("close", () => bridge.disconnect())
+	}
+	readable.on("end", () => bridge.disconnect())
+	return bridge.connected
+}
+
+/**
+ * Bridges a Node Duplex stream (e.g. a net.Socket)
+ * @param {stream.Duplex} duplex
+ * @param {Object} options See bridgeStreams
+ * @returns {Promise<Socket>}
+ */
+export function bridgeStream(duplex, options) {
+	return bridgeStreams(duplex, duplex, options)
+}
+
+/**
+ * Bridges a standard i/o pair: either a child process (writing to its stdin, and reading its stdout), or the current process (reading stdin, and writing to stdout)
+ * @param {Object} stdio Object with "stdin" and "stdout" streams
+ * @param {Object} options See bridgeStreams
+ * @returns {Promise<Socket>}
+ */
+export function bridgeStdio({ stdin, stdout }, options) {
+	// A child process's stdin is the writable end
+	return stdin.writable ? bridgeStreams(stdout, stdin, options) : bridgeStreams(stdin, stdout, options)
+}
+
+/**
+ * Bridges a MessagePort (either WHATWG or worker_threads), or a worker_threads Worker.
+ * @param {MessagePort} port
+ * @param {Object} options
+ * @param {Object} options.codec Codec messages are sent with (none by default: messages are posted as they are, relying on the port's structured cloning)
+ * @param {...any} options.socketOptions Any other option is passed on to the socket (like "keepalive", see Socket)
+ * @returns {Promise<Socket>}
+ */
+export function bridgeMessagePort(port, { codec, ...socketOptions } = {}) {
+	const bridge = createBridge(
+		(message, callback) => {
+			port.postMessage(codec ? codec.encode(message) : message)
+			callback()
+		},
+		// Workers have no close method, they are terminated instead
+		() => port.close ? port.close() : port.terminate(),
+		socketOptions
+	)
+	const receive = codec ? receiveEncoded(bridge, codec.createDecoder()) : bridge.receive
+	// worker_threads ports emit the message data itself, while WHATWG ones dispatch an event with it
+	if (port.on) {
+		port.on("message", receive)
+		port.on("messageerror", bridge.disconnect)
+		port.on("error", bridge.disconnect)
+		port.on("close", () => bridge.disconnect())
+		port.on("exit", () => bridge.disconnect())
+	}
+	else {
+		port.addEventListener("message", (event) => receive(event.data))
+		port.addEventListener("messageerror", (event) => bridge.disconnect(event.data))
+		port.addEventListener("close", () => bridge.disconnect())
+		port.start()
+	}
+	return bridge.connected
+}
@@ -0,0 +1,230 @@
+import { Connection } from "./Connection.js"
+
+/**
+ * Codecs turn messages (arrays of frames) into data a byte (or text) transport can carry, and back.
+ * A codec is an object with two methods:
+ * - encode(message): Returns the encoded message (a string or a Uint8Array), including whatever framing the codec needs to tell messages apart.
+ * - createDecoder(): Returns a decoding function for a single stream of data. It takes the chunks read from the transport (strings, Buffers, Uint8Arrays or ArrayBuffers),
+ *   and returns the (possibly none) messages completed by each chunk, as a single chunk may hold several messages, or part of one.
+ * Messages are encoded as a whole, so the frames of a message (the parameters passed to "send") always arrive together, and in the same number.
+ */
+
+const textEncoder = new TextEncoder()
+
+// Normalizing chunks into bytes
+const toBytes = (chunk) => {
+	if (typeof chunk === "string") return textEncoder.encode(chunk)
+	if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk)
+	return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+}
+
+/**
+ * Newline delimited JSON codec.
+ * Only JSON values can be sent through it (as its name implies).
+ */
+export const json = Object.freeze({
+	encode: (message) => JSON.stringify(message) + "\n",
+	createDecoder() {
+		// Decoding text in streaming mode, so multi-byte characters split across chunks survive
+		const textDecoder = new TextDecoder()
+		var pendingText = ""
+		return (chunk) => {
+			const lines = (pendingText + (typeof chunk === "string" ? chunk : textDecoder.decode(toBytes(chunk), { stream: true }))).split("\n")
+			// The last line is incomplete (or empty) until a newline arrives
+			pendingText = lines.pop()
+			return lines.filter((line) => line).map((line) => JSON.parse(line))
+		}
+	}
+})
+
+/**
+ * Serializer of messages as UTF-8 encoded JSON
+ */
+export const jsonSerializer = Object.freeze({
+	serialize: (message) => textEncoder.encode(JSON.stringify(message)),
+	deserialize: (bytes) => JSON.parse(new TextDecoder().decode(bytes))
+})
+
+/**
+ * Creates a binary codec that frames each message with its byte length (as a 32 bit unsigned integer), using the serializer provided to turn messages into bytes and back.
+ * @param {Object} serializer Object with "serialize(message) => Uint8Array" and "deserialize(bytes) => message" methods (JSON by default)
+ * @returns {Object} codec
+ */
+export function lengthPrefixed(serializer = jsonSerializer) {
+	return Object.freeze({
+		encode(message) {
+			const payload = serializer.serialize(message)
+			const frame = new Uint8Array(4 + payload.length)
+			new DataView(frame.buffer).setUint32(0, payload.length)
+			frame.set(payload, 4)
+			return frame
+		},
+		createDecoder() {
+			var pendingBytes = new Uint8Array(0)
+			return (chunk) => {
+				const bytes = toBytes(chunk)
+				const joinedBytes = new Uint8Array(pendingBytes.length + bytes.length)
+				joinedBytes.set(pendingBytes)
+				joinedBytes.set(bytes, pendingBytes.length)
+				pendingBytes = joinedBytes
+				const messages = []
+				// Decoding every complete frame
+				while (pendingBytes.length >= 4) {
+					const length = new DataView(pendingBytes.buffer, pendingBytes.byteOffset).getUint32(0)
+					if (pendingBytes.length < 4 + length) break
+					messages.push(serializer.deserialize(pendingBytes.subarray(4, 4 + length)))
+					pendingBytes = pendingBytes.subarray(4 + length)
+				}
+				return messages
+			}
+		}
+	})
+}
+
+// Typed array (and DataView) classes the structured format can carry, by name (in maps, so received names can only find these, not what plain objects inherit)
+const typedArrayClasses = new Map([
+	Int8Array, Uint8Array, Uint8ClampedArray, Int16Array, Uint16Array, Int32Array, Uint32Array,
+	Float32Array, Float64Array, BigInt64Array, BigUint64Array, DataView
+].map((TypedArray) => [TypedArray.name, TypedArray]))
+
+// Error classes the structured format restores, by name (any other error is restored as an Error, keeping its name)
+const errorClasses = new Map([
+	Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError
+].map((ErrorClass) => [ErrorClass.name, ErrorClass]))
+
+const toBase64 = (bytes) => Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString("base64")
+const fromBase64 = (text) => {
+	const buffer = Buffer.from(text, "base64")
+	// Copying into a buffer of its own (Node may pool small buffers)
+	return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+}
+
+/**
+ * Encodes a value into a JSON compatible tree, the way the structured clone algorithm would copy it:
+ * Dates, RegExps, Maps, Sets, BigInts, ArrayBuffers, typed arrays and Errors are preserved, and so are shared and circular references, and the hop counts of transferable objects.
+ * Strings, booleans, null and finite numbers are kept as they are, while everything else is encoded as a [type, ...data] array.
+ * Objects are numbered in the order they are first found, so later occurrences are encoded as ["ref", number].
+ * @param {*} value
+ * @param {Map} references Objects already encoded, and their numbers
+ * @returns {*}
+ */
+function encodeValue(value, references = new Map) {
+	switch (typeof value) {
+		case "string":
+		case "boolean":
+			return value
+		case "number":
+			return Number.isFinite(value) && !Object.is(value, -0) ? value : ["number", String(value === 0 ? "-0" : value)]
+		case "bigint":
+			return ["bigint", String(value)]
+		case "undefined":
+			return ["undefined"]
+		case "function":
+		case "symbol":
+			throw new TypeError(`${String(value)} could not be cloned`)
+	}
+	if (value === null) return null
+	if (references.has(value)) return ["ref", references.get(value)]
+	references.set(value, references.size)
+	const encode = (item) => encodeValue(item, references)
+	// Objects marked as transferable carry their hop count along (see Connection.transferable)
+	const hops = Connection.hopsLeft(value)
+	return hops < Infinity ? ["transferable", hops, encodeObject(value, encode)] : encodeObject(value, encode)
+}
+
+/**
+ * Encodes an object (see encodeValue)
+ * @param {Object} value
+ * @param {Function} encode Encodes the object's items
+ * @returns {Array}
+ */
+function encodeObject(value, encode) {
+	if (Array.isArray(value)) return ["array", Array.from(value, encode)]
+	if (value instanceof Date) return ["Date", value.getTime()]
+	if (value instanceof RegExp) return ["RegExp", value.source, value.flags]
+	if (value instanceof Map) return ["Map", [...value].map(([key, item]) => [encode(key), encode(item)])]
+	if (value instanceof Set) return ["Set", [...value].map(encode)]
+	if (value instanceof ArrayBuffer) return ["ArrayBuffer", toBase64(new Uint8Array(value))]
+	if (ArrayBuffer.isView(value)) return [value.constructor.name, toBase64(new Uint8Array(value.buffer, value.byteOffset, value.byteLength))]
+	if (value instanceof Error) return ["Error", value.name, value.message, value.stack, "cause" in value ? encode(value.cause) : ["none"]]
+	// Any other object is copied as a plain object (own enumerable properties only)
+	return ["object", Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]))]
+}
+
+/**
+ * Decodes a tree encoded by encodeValue
+ * @param {*} data
+ * @param {Array} references Objects already decoded, by number
+ * @returns {*}
+ */
+function decodeValue(data, references = []) {
+	if (!Array.isArray(data)) return data
+	const [type, ...content] = data
+	const decode = (item) => decodeValue(item, references)
+	// Registering objects before decoding their content, so circular references can be resolved
+	const register = (object) => (references.push(object), object)
+	switch (type) {
+		case "number": return Number(content[0])
+		case "bigint": return BigInt(content[0])
+		case "undefined": return undefined
+		case "ref": return references[content[0]]
+		case "transferable": return Connection.transferable(decode(content[1]), { hops: content[0] })
+		case "array": {
+			const array = register([])
+			for (const item of content[0]) array.push(decode(item))
+			return array
+		}
+		case "object": {
+			const object = register({})
+			// Defining properties rather than assigning them, so a "__proto__" key stays a key, rather than setting the prototype
+			for (const [key, item] of Object.entries(content[0])) Object.defineProperty(object, key, { value: decode(item), writable: true, enumerable: true, configurable: true })
+			return object
+		}
+		case "Date": return register(new Date(content[0]))
+		case "RegExp": return register(new RegExp(content[0], content[1]))
+		case "Map": {
+			const map = register(new Map)
+			for (const [key, item] of content[0]) map.set(decode(key), decode(item))
+			return map
+		}
+		case "Set": {
+			const set = register(new Set)
+			for (const item of content[0]) set.add(decode(item))
+			return set
+		}
+		case "ArrayBuffer": return register(fromBase64(content[0]))
+		case "Error": {
+			const [name, message, stack, cause] = content
+			const error = register(new (errorClasses.get(name) || Error)(message))
+			error.name = name
+			error.stack = stack
+			if (!(Array.isArray(cause) && cause[0] === "none")) error.cause = decode(cause)
+			return error
+		}
+	}
+	if (typedArrayClasses.has(type)) {
+		const TypedArray = typedArrayClasses.get(type)
+		const buffer = fromBase64(content[0])
+		return register(new TypedArray(buffer, 0, type === "DataView" ? buffer.byteLength : buffer.byteLength / TypedArray.BYTES_PER_ELEMENT))
+	}
+	throw new TypeError(`Unknown structured value type: ${type}`)
+}
+
+/**
+ * Serializes a message in the structured format (see encodeValue)
+ * @param {Array} message
+ * @returns {Uint8Array}
+ */
+export const serialize = (message) => textEncoder.encode(JSON.stringify(encodeValue(message)))
+
+/**
+ * Deserializes a message serialized in the structured format
+ * @param {Uint8Array} bytes
+ * @returns {Array}
+ */
+export const deserialize = (bytes) => decodeValue(JSON.parse(new TextDecoder().decode(bytes)))
+
+/**
+ * Length prefixed codec for messages in the structured format
+ */
+export const structured = lengthPrefixed(Object.freeze({ serialize, deserialize }))
@@ -1,3 +1,336 @@
+import { BufferOverflowError, ConnectionClosedError, TransferError, UnreachableError } from "./Errors.js"
+
+/**
+ * Policies a connection's message buffer can apply when a message arrives and the buffer is already at its capacity:
+ * - "drop-oldest": The oldest buffered message is discarded to make room for the new one.
+ * - "drop-newest": The new message is discarded.
+ * - "throw": Receiving the message (and so sending it) throws a BufferOverflowError.
+ * - "block": The message waits for buffer space, receiving it (and so sending it) returns a promise that resolves once it has been buffered.
+ */
+const overflowPolicies = ["drop-oldest", "drop-newest", "throw", "block"]
+
+// Value a message buffer resolves pulls with, once it has been closed and drained
+const endOfStream = Symbol("endOfStream")
+
+// Connection boundaries each marked object can still cross, by object (see Connection.transferable)
+const transferPolicies = new WeakMap()
+// Objects whose crossing is already paid for, while a message that was taken across a boundary is being sent (see Connection.transferred)
+var prepaidObjects = new Set
+
+/**
+ * Finds the objects marked as transferable a message holds (within arrays, plain objects, class instances, maps and sets)
+ * @param {Array} message
+ * @returns {Array}
+ */
+function findMarkedObjects(message) {
+	const marked = []
+	const visited = new Set
+	const visit = (value) => {
+		if (value === null || (typeof value !== "object" && typeof value !== "function") || visited.has(value)) return
+		visited.add(value)
+		if (transferPolicies.has(value)) marked.push(value)
+		// Functions (like remote object proxies) and binary data hold nothing worth looking into
+		if (typeof value === "function" || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return
+		const items = value instanceof Map ? [...value.keys(), ...value.values()] : value instanceof Set ? [...value] : Object.values(value)
+		for (const item of items) visit(item)
+	}
+	visit(message)
+	return marked
+}
+
+/**
+ * Creates the message buffer that sits between a connection's "receive" capability and its "messages" iterable.
+ * Messages are handed straight to waiting receivers, and only buffered (up to the capacity) when no receiver is waiting for them.
+ * @param {Number} capacity 
+ * @param {String} overflow 
+ */
+function createMessageBuffer(capacity, overflow) {
+	// Messages (and their delivery handlers) waiting for a receiver to pull them
+	const entries = []
+	// Entries waiting for buffer space, along with the resolve/reject pair of the promise returned to their sender ("block" policy only)
+	const blockedEntries = []
+	// Receivers (promise resolve/reject pairs) waiting for a message to arrive
+	const pendingReceivers = []
+	// Once closed, the buffer is drained and then reports the end of the stream. Once errored, every pull rejects with the error.
+	var closed = false
+	var failure = null
+
+	// Notifying the sender (if it is waiting for it) that its message reached a receiver
+	const deliver = ({ message, deliveryHandler, unwatchAbort }) => {
+		if (unwatchAbort) unwatchAbort()
+		if (deliveryHandler) deliveryHandler.resolve()
+		return message
+	}
+	// Notifying the sender (if it is waiting for it) that its message will never reach a receiver
+	const drop = ({ deliveryHandler, unwatchAbort }, error = new BufferOverflowError(`Message dropped, message buffer is full (capacity: ${capacity})`)) => {
+		if (unwatchAbort) unwatchAbort()
+		if (deliveryHandler) deliveryHandler.reject(error)
+	}
+	// Withdrawing the message if its sender aborts the send (see Connection.sendWith) while it is still buffered
+	const watchAbort = (entry) => {
+		const signal = entry.deliveryHandler && entry.deliveryHandler.signal
+		if (!signal) return
+		const onAbort = () => {
+			if (entries.includes(entry)) entries.splice(entries.indexOf(entry), 1)
+			const blockedIndex = blockedEntries.findIndex((blocked) => blocked.entry === entry)
+			if (blockedIndex >= 0) blockedEntries.splice(blockedIndex, 1)[0].reject(signal.reason)
+			entry.deliveryHandler.reject(signal.reason)
+		}
+		signal.addEventListener("abort", onAbort, { once: true })
+		entry.unwatchAbort = () => signal.removeEventListener("abort", onAbort)
+	}
+
+	return {
+		size: () => entries.length,
+		/**
+		 * Buffers a message (or hands it to a waiting receiver), applying the overflow policy when the buffer is full
+		 * The optional delivery handler ({ resolve, reject }) is resolved once a receiver pulls the message, and rejected if the message gets dropped.
+		 * @param {*} message 
+		 * @param {Object} deliveryHandler 
+		 */
+		push(message, deliveryHandler) {
+			if (closed) throw failure || new ConnectionClosedError("Connection is closed")
+			const entry = { message, deliveryHandler }
+			watchAbort(entry)
+			// If a receiver is already waiting, there is no need to buffer the message
+			if (pendingReceivers.length > 0) {
+				pendingReceivers.shift().resolve(deliver(entry))
+			}
+			else if (entries.length < capacity) {
+				entries.push(entry)
+			}
+			else if (overflow === "drop-oldest") {
+				// With no capacity at all there is no oldest message to drop, so the new one is dropped instead
+				drop(entries.length > 0 ? entries.shift() : entry)
+				if (capacity > 0) entries.push(entry)
+			}
+			else if (overflow === "drop-newest") {
+				drop(entry)
+			}
+			else if (overflow === "throw") {
+				if (entry.unwatchAbort) entry.unwatchAbort()
+				throw new BufferOverflowError(`Message buffer is full (capacity: ${capacity})`)
+			}
+			else if (overflow === "block") {
+				return new Promise((resolve, reject) => blockedEntries.push({ entry, resolve, reject }))
+			}
+			// Blocking senders are always returned a promise, so they can await regardless of the buffer state
+			if (overflow === "block") return Promise.resolve()
+		},
+		/**
+		 * Retrieves the next message, waiting for one to arrive if none is buffered
+		 * Resolves with "endOfStream" once the buffer is closed and drained, and rejects once the buffer has errored.
+		 * @param {AbortSignal} signal Optional signal that stops waiting, rejecting with the signal's reason
+		 * @returns {Promise}
+		 */
+		pull(signal) {
+			if (failure) return Promise.reject(failure)
+			if (signal && signal.aborted) return Promise.reject(signal.reason)
+			if (entries.length > 0) {
+				const entry = entries.shift()
+				// Making room for the first blocked message (if any)
+				if (blockedEntries.length > 0) {
+					const blocked = blockedEntries.shift()
+					entries.push(blocked.entry)
+					blocked.resolve()
+				}
+				return Promise.resolve(deliver(entry))
+			}
+			// A buffer with no capacity still lets blocked messages through, directly to the receiver
+			if (blockedEntries.length > 0) {
+				const blocked = blockedEntries.shift()
+				blocked.resolve()
+				return Promise.resolve(deliver(blocked.entry))
+			}
+			if (closed) return Promise.resolve(endOfStream)
+			return new Promise((resolve, reject) => {
+				if (!signal) return pendingReceivers.push({ resolve, reject })
+				// Aborting gives up the receiver's place, so it does not take a message no one would get
+				const onAbort = () => {
+					pendingReceivers.splice(pendingReceivers.indexOf(receiver), 1)
+					reject(signal.reason)
+				}
+				const settle = (callback) => (value) => {
+					signal.removeEventListener("abort", onAbort)
+					callback(value)
+				}
+				const receiver = { resolve: settle(resolve), reject: settle(reject) }
+				pendingReceivers.push(receiver)
+				signal.addEventListener("abort", onAbort, { once: true })
+			})
+		},
+		/**
+		 * Stops accepting messages. The ones already accepted can still be pulled, after which receivers get the end of the stream.
+		 */
+		close() {
+			if (closed) return
+			closed = true
+			// Waiting receivers imply an empty buffer, so they can be ended right away
+			for (const receiver of pendingReceivers.splice(0)) receiver.resolve(endOfStream)
+		},
+		/**
+		 * Stops accepting messages, discarding the ones not yet pulled, and failing every current and future receiver with the error provided
+		 * @param {*} error 
+		 */
+		error(error) {
+			if (failure) return
+			closed = true
+			failure = error
+			for (const entry of entries.splice(0)) drop(entry, error)
+			for (const blocked of blockedEntries.splice(0)) {
+				drop(blocked.entry, error)
+				blocked.reject(error)
+			}
+			for (const receiver of pendingReceivers.splice(0)) receiver.reject(error)
+		},
+		/**
+		 * Closes the buffer discarding the messages not yet pulled, but settling their delivery handlers as if they were pulled (so their senders do not wait for a receiver that left)
+		 */
+		release() {
+			closed = true
+			for (const entry of entries.splice(0)) deliver(entry)
+			for (const blocked of blockedEntries.splice(0)) {
+				deliver(blocked.entry)
+				blocked.resolve()
+			}
+		}
+	}
+}
+
+/**
+ * Delivery modes, defining how received messages are distributed among the connection's receivers (concurrent "messages" iterations):
+ * - "work-queue": Receivers share a single buffer, and each message is pulled by exactly one of them.
+ * - "fan-out": Each receiver gets its own buffer (and so its own cursor), and sees every message received from the moment it started iterating.
+ */
+const deliveryModes = ["work-queue", "fan-out"]
+
+/**
+ * Creates the object distributing received messages among the message buffers of the connection's receivers, according to the delivery mode.
+ * In both modes, messages received while no one is iterating are kept in a backlog buffer, which is claimed by the next receiver.
+ * @param {String} mode 
+ * @param {Number} capacity 
+ * @param {String} overflow 
+ */
+function createMessageDistributor(mode, capacity, overflow) {
+	// Keeping the connection state, so buffers created after closing/failing start closed/failed
+	var closed = false
+	var failure = null
+	const createBuffer = () => {
+		const buffer = createMessageBuffer(capacity, overflow)
+		if (failure) buffer.error(failure)
+		else if (closed) buffer.close()
+		return buffer
+	}
+	// The buffer holding messages while there are no receivers (and the only buffer in "work-queue" mode)
+	var backlog = createBuffer()
+	// The buffers of the current receivers ("fan-out" mode only)
+	const subscribers = new Set()
+
+	// In "work-queue" mode, every receiver is subscribed to the backlog
+	if (mode === "work-queue") {
+		return {
+			push: (message, deliveryHandler) => backlog.push(message, deliveryHandler),
+			subscribe: () => backlog,
+			unsubscribe: () => { },
+			size: () => backlog.size(),
+			close: () => backlog.close(),
+			error: (error) => backlog.error(error)
+		}
+	}
+
+	const buffers = () => subscribers.size > 0 ? [...subscribers] : [backlog]
+	return {
+		/**
+		 * Pushes the message into every receiver's buffer. A sender awaiting delivery is notified once every one of them pulled it, or as soon as one of them dropped it.
+		 * @param {*} message 
+		 * @param {Object} deliveryHandler 
+		 */
+		push(message, deliveryHandler) {
+			const targets = buffers()
+			if (deliveryHandler && targets.length > 1) {
+				const { resolve, reject } = deliveryHandler
+				var pendingDeliveries = targets.length
+				deliveryHandler = {
+					resolve: () => --pendingDeliveries === 0 && resolve(),
+					reject,
+					signal: deliveryHandler.signal
+				}
+			}
+			var overflowError = null
+			const results = targets.map((buffer) => {
+				try {
+					return buffer.push(message, deliveryHandler)
+				}
+				catch (error) {
+					overflowError = overflowError || error
+				}
+			})
+			if (overflowError) throw overflowError
+			if (overflow === "block") return Promise.all(results)
+		},
+		subscribe() {
+			// Claiming the backlog if there is no other receiver, otherwise starting from the messages received from now on
+			const buffer = subscribers.size === 0 ? backlog : createBuffer()
+			subscribers.add(buffer)
+			return buffer
+		},
+		unsubscribe(buffer) {
+			subscribers.delete(buffer)
+			buffer.release()
+			// Starting a new backlog once the last receiver is gone
+			if (subscribers.size === 0) backlog = createBuffer()
+		},
+		// Reporting the size of the buffer of the receiver that is the furthest behind
+		size: () => Math.max(...buffers().map((buffer) => buffer.size())),
+		close() {
+			closed = true
+			for (const buffer of buffers()) buffer.close()
+		},
+		error(error) {
+			failure = error
+			for (const buffer of buffers()) buffer.error(error)
+		}
+	}
+}
+
+// Async generator functions (stages taking the whole stream of messages) have their own prototype
+const AsyncGeneratorFunction = Object.getPrototypeOf(async function* () { })
+
+/**
+ * Runs entries ({ message, deliveryHandler }) through pipeline stages (see Connection.pipe).
+ * Function stages handle one message at a time: they return the (transformed) message, or nothing to filter it out, or throw to reject it.
+ * Filtered messages count as delivered, while rejected ones are dropped, and their sender (if awaiting delivery) gets the error.
+ * Generator stages take the stream of messages, and yield the messages they make out of it (so they can batch, split, filter...).
+ * The messages a generator stage pulls count as delivered, while the messages it yields start being tracked anew (with no sender awaiting them).
+ * @param {AsyncIterable} entries 
+ * @param {Array} stages 
+ * @returns {AsyncIterable} Resulting entries
+ */
+function runStages(entries, stages) {
+	return stages.reduce((entries, stage) => Object.getPrototypeOf(stage) === AsyncGeneratorFunction
+		? (async function* () {
+			const messages = (async function* () {
+				for await (let { message, deliveryHandler } of entries) {
+					if (deliveryHandler) deliveryHandler.resolve()
+					yield message
+				}
+			})()
+			for await (let message of stage(messages)) yield { message }
+		})()
+		: (async function* () {
+			for await (let { message, deliveryHandler } of entries) {
+				try {
+					const result = await stage(message)
+					if (result) yield { message: result, deliveryHandler }
+					else if (deliveryHandler) deliveryHandler.resolve()
+				}
+				catch (error) {
+					if (deliveryHandler) deliveryHandler.reject(error)
+				}
+			}
+		})(), entries)
+}
+
 /**
  * A Connection instance is a communication medium/interface between:
  * 1) Senders: those with access to the "send" capability.
@@ -9,54 +342,133 @@ export class Connection {
 	 * This allows the connection capabilities to be shared independently of the connection instance, keeping the connection's private state exclusively accesible to the instance itself, and none of its users (following the pattern of trust-worthy medium).
 	 * The connection constructor receives one paramter: the receive callback to which the connection's "send" capability must maps to.
 	 * When a receive callback is not provided the connection loops back to itself by mapping the send capability to its own receive capability (Making a loopback connection). This connection type is useful as a "shared" connection, when multiple users have access to the same capabilities.
+	 * Received messages are buffered until a receiver pulls them, so no message is lost for not having anyone iterating "messages" at the time it arrives.
 	 * @param {*} peerReceive 
+	 * @param {Object} options 
+	 * @param {Number} options.capacity Maximum number of buffered messages (unbounded by default)
+	 * @param {String} options.overflow Policy applied when a message arrives to a full buffer: "drop-oldest" (default), "drop-newest", "throw" or "block"
+	 * @param {String} options.mode How messages are delivered to concurrent receivers: "work-queue" (default) or "fan-out"
 	 */
-	constructor(peerReceive = (message) => this.receive(message)) {
+	constructor(peerReceive = (message, deliveryHandler) => this.receive(message, deliveryHandler), { capacity = Infinity, overflow = "drop-oldest", mode = "work-queue" } = {}) {
+		if (!(capacity >= 0)) throw new TypeError(`Invalid message buffer capacity: ${capacity}`)
+		if (!overflowPolicies.includes(overflow)) throw new TypeError(`Invalid message buffer overflow policy: ${overflow}`)
+		if (!deliveryModes.includes(mode)) throw new TypeError(`Invalid message delivery mode: ${mode}`)
+
 		/**
 		 * The connection send capability is mapped to the peer receive parameter callback capability.
 		 * A message is formed by one or more parameters passed to the send function, which are "framed" as an array.
 		 * To access each message frame, the receiver must destructure the message according to their knowledge of it.
+		 * Whatever the peer's receive returns is handed back to the sender (e.g. the promise of a "block" overflow policy).
+		 * @param {...any} message 
+		 */
+		this.send = (...message) => {
+			if (closed) throw new ConnectionClosedError("Connection is closed")
+			return peerReceive(message)
+		}
+
+		// Async sends learn the outcome through their delivery handler, so whatever the peer's receive returns (like the promise of a "block" overflow policy, which rejects along with the handler) is left aside
+		const ignoreResult = (result) => {
+			if (result && typeof result.catch === "function") result.catch(() => { })
+		}
+
+		/**
+		 * The backpressure-aware version of the send capability.
+		 * The message travels along with a delivery handler (a promise resolve/reject pair, like the ones chaining the "messages" iterable), so the returned promise resolves once a receiver has pulled the message.
+		 * It rejects if the message could not be delivered (e.g. it was dropped by a full buffer, or the connection is closed).
 		 * @param {...any} message 
+		 * @returns {Promise}
 		 */
-		this.send = (...message) => peerReceive(message)
+		this.sendAsync = (...message) => new Promise((resolve, reject) => {
+			if (closed) throw new ConnectionClosedError("Connection is closed")
+			ignoreResult(peerReceive(message, { resolve, reject }))
+		})
 
-		// Keeping track of active receivers to efficiently use promise creation/resolution
-		var activeReceiverCount = 0
+		/**
+		 * The version of "sendAsync" taking options
+		 * @param {Object} options
+		 * @param {AbortSignal} options.signal Signal that stops waiting for the delivery, rejecting with the signal's reason (an AbortError, unless aborted with another reason). The message is withdrawn if it is still buffered by the receiving connection.
+		 * @param {...any} message 
+		 * @returns {Promise}
+		 */
+		this.sendWith = ({ signal } = {}, ...message) => new Promise((resolve, reject) => {
+			if (closed) throw new ConnectionClosedError("Connection is closed")
+			if (!signal) return ignoreResult(peerReceive(message, { resolve, reject }))
+			signal.throwIfAborted()
+			const onAbort = () => reject(signal.reason)
+			const settle = (callback) => (value) => {
+				signal.removeEventListener("abort", onAbort)
+				callback(value)
+			}
+			signal.addEventListener("abort", onAbort, { once: true })
+			try {
+				ignoreResult(peerReceive(message, { resolve: settle(resolve), reject: settle(reject), signal }))
+			}
+			catch (error) {
+				settle(reject)(error)
+			}
+		})
 
-		// Creating initial message promise / handler pair that will enable the "messages" iterable
-		var nextMessageHandler
-		var nextMessagePromise = new Promise((resolve, reject) => nextMessageHandler = { resolve, reject })
+		// Keeping track of the connection state, and creating the promise that reports its end
+		var closed = false
+		var closedHandler
+		/**
+		 * Resolves once the connection is closed, or rejects with the error the connection failed with
+		 */
+		this.closed = new Promise((resolve, reject) => closedHandler = { resolve, reject })
+		// The rejection is meant to be observed by those awaiting the "closed" promise, and not to be reported as unhandled otherwise
+		this.closed.catch(() => { })
+
+		// Creating the distributor of messages among the buffers that enable the "messages" iterable
+		const distributor = createMessageDistributor(mode, capacity, overflow)
 
 		/** 
 		 * The receive capabilty enables the "messages" async iterable
 		 * @param {*} message 
+		 * @param {Object} deliveryHandler Optional { resolve, reject } pair notified when the message gets pulled by a receiver (or dropped)
 		 */
-		this.receive = (message) => {
-			// If there are active message receivers...
-			if (activeReceiverCount > 0) {
-				// Retrieving messag handler, and getting ready the next before resolving (to avoid resolving the same promise twice)
-				var currentMessageHandler = nextMessageHandler
-				// Getting the next message handler ready
-				nextMessagePromise = new Promise((resolve, reject) => nextMessageHandler = { resolve, reject })
-				// Resolving the current message promise with the message provided
-				currentMessageHandler.resolve([message, nextMessagePromise])
-			}
+		this.receive = (message, deliveryHandler) => distributor.push(message, deliveryHandler)
+
+		/**
+		 * Reports how many received messages are waiting to be pulled by a receiver (in "fan-out" mode, by the receiver that is the furthest behind)
+		 * @returns {Number}
+		 */
+		this.bufferedCount = () => distributor.size()
+
+		/**
+		 * Closes the connection: no more messages can be sent or received through it.
+		 * Messages already received can still be pulled, after which every "messages" iteration ends (cleanly).
+		 */
+		this.close = () => {
+			if (closed) return
+			closed = true
+			distributor.close()
+			closedHandler.resolve()
 		}
 
 		/**
-		 * The messages object, is the connection's read interface
-		 * It is like a time-array or stream of individual messages/values.
+		 * Fails the connection: no more messages can be sent or received through it, the messages not yet pulled are discarded, and every "messages" iteration throws the error provided.
+		 * @param {*} error 
 		 */
-		this.messages = {
-			[Symbol.asyncIterator]: async function* asyncMessageGenerator() {
-				var message, messagePromise = nextMessagePromise
-				// Incrementing the receiver count to signal connection receiving readyness
-				activeReceiverCount++
+		this.error = (error) => {
+			if (closed) return
+			closed = true
+			distributor.error(error)
+			closedHandler.reject(error)
+		}
+
+		/**
+		 * Iterates the received messages
+		 * @param {Object} options
+		 * @param {AbortSignal} options.signal Signal that ends the iteration, making it throw the signal's reason (an AbortError, unless aborted with another reason)
+		 */
+		const asyncMessageGenerator = async function* ({ signal } = {}) {
+			const receiverBuffer = distributor.subscribe()
+			try {
 				while (true) {
-					// Wait until next message promise resolves, and retrieve message, and next message promise
-					[message, messagePromise] = await messagePromise
-					// If message is "null" break the loop
-					if (message === null) {
+					// Wait until the next message is available (throws if the connection failed, or the iteration is aborted)
+					const message = await receiverBuffer.pull(signal)
+					// If the connection was closed (and every message received before was already pulled) break the loop
+					if (message === endOfStream) {
 						break
 					}
 					// otherwise relay message
@@ -64,74 +476,441 @@ export class Connection {
 						yield message
 					}
 				}
-				// Decrementing the receiver count at the end of the loop
-				activeReceiverCount--
+			}
+			finally {
+				// Unsubscribing at the end of the loop (also when the receiver breaks out of it, or it is aborted)
+				distributor.unsubscribe(receiverBuffer)
 			}
 		}
+
+		/**
+		 * The messages object, is the connection's read interface
+		 * It is like a time-array or stream of individual messages/values.
+		 * Iterating "messages.iterate({ signal })" instead, lets the iteration be aborted (even while waiting for a message).
+		 */
+		this.messages = {
+			[Symbol.asyncIterator]: () => asyncMessageGenerator(),
+			iterate: (options) => asyncMessageGenerator(options)
+		}
+
+		/**
+		 * Creates a connection that runs the messages sent and received through this one along pipeline stages (see Connection.pipe)
+		 * @param {Object} stages
+		 * @param {Object} options
+		 * @returns {Connection}
+		 */
+		this.pipe = (stages, options) => Connection.pipe(this, stages, options)
+
 		// Making instance immutable
 		Object.freeze(this)
 	}
 	messages
+	closed
 	send(...message) { }
-	receive(message) { }
+	sendAsync(...message) { }
+	sendWith(options, ...message) { }
+	receive(message, deliveryHandler) { }
+	bufferedCount() { }
+	close() { }
+	error(error) { }
+	pipe(stages, options) { }
+
+	/**
+	 * Creates a connection on top of an endpoint (a connection, a socket, or anything with "send", "sendAsync" and "messages"), whose messages go through pipeline stages:
+	 * messages sent through the new connection run through the "outbound" stages before being sent through the endpoint,
+	 * and messages received by the endpoint run through the "inbound" stages before reaching the new connection's "messages".
+	 * Stages are (async) functions over a single message, or async generator functions over the whole stream of messages, applied in order (see runStages).
+	 * The new connection becomes the endpoint's receiver, and it ends along with the endpoint (for a socket, once it disconnects). Closing (or failing) it closes (or disconnects) the endpoint.
+	 * @param {Object} endpoint
+	 * @param {Object} stages
+	 * @param {Function|Array} stages.inbound Stage (or stages) received messages run through
+	 * @param {Function|Array} stages.outbound Stage (or stages) sent messages run through
+	 * @param {Object} options Message buffer options for the new connection (see constructor)
+	 * @returns {Connection}
+	 */
+	static pipe(endpoint, { inbound = [], outbound = [] } = {}, options) {
+		// Connection queuing the messages (along with their delivery handlers) waiting to run through the outbound stages
+		const outgoing = new Connection
+		const connection = new Connection((message, deliveryHandler) => outgoing.receive([{ message, deliveryHandler }]), options)
+		const end = (error) => {
+			if (error) connection.error(error)
+			else connection.close()
+		}
+
+		// Sending the outbound stages' results through the endpoint
+		; (async () => {
+			const entries = (async function* () {
+				for await (let [entry] of outgoing.messages) yield entry
+			})()
+			try {
+				for await (let { message, deliveryHandler } of runStages(entries, [outbound].flat())) {
+					try {
+						if (deliveryHandler) endpoint.sendAsync(...message).then(deliveryHandler.resolve, deliveryHandler.reject)
+						else endpoint.send(...message)
+					}
+					catch (error) {
+						if (deliveryHandler) deliveryHandler.reject(error)
+					}
+				}
+			}
+			catch (error) {
+				end(error)
+			}
+		})()
+
+		// Relaying the inbound stages' results to the new connection
+		; (async () => {
+			const entries = (async function* () {
+				for await (let message of endpoint.messages) yield { message }
+			})()
+			try {
+				for await (let { message, deliveryHandler } of runStages(entries, [inbound].flat())) connection.receive(message, deliveryHandler)
+				end()
+			}
+			catch (error) {
+				end(error)
+			}
+		})()
+
+		// Ending the endpoint along with the new connection
+		const endEndpoint = (error) => {
+			outgoing.close()
+			if (endpoint.disconnect) {
+				if (endpoint.isConnected()) endpoint.disconnect(error)
+			}
+			else if (error && endpoint.error) endpoint.error(error)
+			else if (endpoint.close) endpoint.close()
+		}
+		connection.closed.then(() => endEndpoint(), endEndpoint)
+		return connection
+	}
+
+	/**
+	 * Marks an object (or function) as transferable a limited number of times: every time a message holding it is sent through a socket (crossing a connection boundary), it uses up a hop,
+	 * and once it has none left, sending it fails with a TransferError (see transfer).
+	 * Hop counts stick to the object, so they keep being tracked as it is forwarded from peer to peer, and they travel along the copies made by the structured codec (see Codec.js).
+	 * Marking an object again replaces its hop count.
+	 * @param {Object} object
+	 * @param {Object} policy
+	 * @param {Number} policy.hops Connection boundaries the object can cross (unlimited by default)
+	 * @returns {Object} The object
+	 */
+	static transferable(object, { hops = Infinity } = {}) {
+		if (object === null || (typeof object !== "object" && typeof object !== "function")) throw new TypeError("Only objects and functions can be marked as transferable")
+		transferPolicies.set(object, hops)
+		return object
+	}
+	/**
+	 * Marks an object (or function) as local: it can never cross any connection boundary
+	 * @param {Object} object
+	 * @returns {Object} The object
+	 */
+	static local(object) {
+		return Connection.transferable(object, { hops: 0 })
+	}
+	/**
+	 * Reports how many connection boundaries an object can still cross
+	 * @param {Object} object
+	 * @returns {Number} Infinity for objects that are not marked
+	 */
+	static hopsLeft(object) {
+		return transferPolicies.has(object) ? transferPolicies.get(object) : Infinity
+	}
+	/**
+	 * Takes a message across a connection boundary: every marked object the message holds (within arrays, plain objects, class instances, maps and sets) uses up a hop.
+	 * If any of them has no hops left, a TransferError is thrown, and none of them uses up a hop.
+	 * Given the function sending the message across, the hops are only used up once it has sent the message (if it throws, nothing crossed, and no hop is used up).
+	 * Sockets do it for every message sent through them (whichever transport they are bridged to).
+	 * @param {Array} message
+	 * @param {Function} send Optional function sending the message (synchronously, see transferred)
+	 * @returns {*} Whatever "send" returns
+	 */
+	static transfer(message, send) {
+		const marked = findMarkedObjects(message).filter((object) => !prepaidObjects.has(object))
+		if (marked.some((object) => transferPolicies.get(object) <= 0)) throw new TransferError("Message holds an object that can not cross any more connection boundaries")
+		const result = send && Connection.transferred(message, send)
+		for (const object of marked) transferPolicies.set(object, transferPolicies.get(object) - 1)
+		return result
+	}
+	/**
+	 * Sends a message that has already been taken across a boundary (see transfer), so the objects it holds use up no more hops while it is sent (synchronously):
+	 * for protocols that take messages across on their own send (checking them right away), and then send them (as many times as needed, e.g. replays) through a socket.
+	 * @param {Array} message
+	 * @param {Function} send Sends the message
+	 * @returns {*} Whatever "send" returns
+	 */
+	static transferred(message, send) {
+		const previousPrepaidObjects = prepaidObjects
+		prepaidObjects = new Set([...previousPrepaidObjects, ...findMarkedObjects(message)])
+		try {
+			return send()
+		}
+		finally {
+			prepaidObjects = previousPrepaidObjects
+		}
+	}
 
 	/**
 	 * 
+	 * @param {Object} options Message buffer options (see constructor)
 	 * @returns 
 	 */
-	static createLoopBack() {
-		return new Connection
+	static createLoopBack(options) {
+		return new Connection(undefined, options)
 	}
 	/**
 	 * Creates a pair of reciprocally connected, connection instances, creating a bidirectional, simultaneous message stream
 	 * One is meant to be "kept" by one user, and the other one is meant to be given.
+	 * @param {Object} options Message buffer options (see constructor), applied to both connections
 	 * @returns [{Connection}, {Connection}]
 	 */
-	static createPair() {
-		const connection1 = new Connection((message) => connection2.receive(message))
-		const connection2 = new Connection((message) => connection1.receive(message))
+	static createPair(options) {
+		const connection1 = new Connection((message, deliveryHandler) => connection2.receive(message, deliveryHandler), options)
+		const connection2 = new Connection((message, deliveryHandler) => connection1.receive(message, deliveryHandler), options)
 		return [connection1, connection2]
 	}
 	/**
-	 * 
-	 * @param {*} edges 
-	 * @returns 
+	 * Creates a ring of members, each one linked to the next one (in joining order, the last one being linked to the first one).
+	 * Members can join and leave at any time, and the ring gets re-linked around them.
+	 * Messages sent by a member are forwarded around the ring, hop by hop, until they are back to the member that sent them (which does not receive its own messages).
+	 * Members receive them tagged with the id of the member they originate from, and the number of hops they took: [originId, hops, ...message].
+	 * The ring also has a single token, held by exactly one member at a time (as long as the ring is not empty), which members pass on to the next one, e.g. to take turns as leaders.
+	 * @param {Number} edges Number of members (and so of edges) the ring starts with
+	 * @param {Object} options Message buffer options for the members' connections (see constructor)
+	 * @returns {Object} The ring, with its "members", the token "holder", and "join"
 	 */
-	static createCycle(edges) {
-		const connections = []
-		const connectionCycle = {
-			connections,
-			new: () => {
-				const i = connections.length
-				const receive = (i == 0) ? message => connections[connections.length - 1].receive(message) : message => connections[i - 1].receive(message)
-				connections.push(new Connection(receive))
+	static createCycle(edges = 0, options) {
+		// Members, in ring order (each one with the connection reaching it, and the receivers waiting for the token)
+		const members = []
+		var lastMemberId = 0
+		var holder = null
+
+		const next = (member) => members[(members.indexOf(member) + 1) % members.length]
+		const giveToken = (member) => {
+			holder = member
+			if (member) for (const waiter of member.tokenWaiters.splice(0)) waiter.resolve()
+		}
+
+		/**
+		 * Adds a member to the ring, right after the last one (it gets the token if the ring was empty)
+		 * @returns {Object} The member, with its "id" and "messages", and "send", "acquire", "passToken", "holdsToken" and "leave" capabilities
+		 */
+		const join = () => {
+			const id = ++lastMemberId
+			// Connection reaching the member (holding the messages it still has to forward), and the one through which messages are relayed to it
+			const link = new Connection
+			const received = new Connection(undefined, options)
+			const member = { link, tokenWaiters: [] }
+
+			// Forwarding a message to the next member, unless the next one is the member the message originates from (or that member left the ring)
+			const forward = (origin, hops, message) => {
+				const nextMember = next(member)
+				if (nextMember === member || nextMember.facet.id === origin || !members.some(({ facet }) => facet.id === origin)) return
+				try { nextMember.link.receive([origin, hops, ...message]) } catch { }
 			}
+			; (async () => {
+				for await (let [origin, hops, ...message] of link.messages) {
+					if (!members.includes(member)) break
+					received.receive([origin, hops, ...message])
+					forward(origin, hops + 1, message)
+				}
+			})()
+
+			member.facet = Object.freeze({
+				id,
+				/**
+				 * Messages forwarded to the member, tagged with their origin id and hop count
+				 */
+				messages: received.messages,
+				/**
+				 * Sends a message around the ring
+				 * @param {...any} message
+				 */
+				send: (...message) => {
+					if (!members.includes(member)) throw new ConnectionClosedError(`Member ${id} has left the ring`)
+					forward(id, 1, message)
+				},
+				/**
+				 * Waits for the token
+				 * @returns {Promise} Resolves once the member holds the token (right away if it already does), or rejects if the member leaves before
+				 */
+				acquire: () => new Promise((resolve, reject) => {
+					if (!members.includes(member)) throw new ConnectionClosedError(`Member ${id} has left the ring`)
+					if (holder === member) resolve()
+					else member.tokenWaiters.push({ resolve, reject })
+				}),
+				/**
+				 * Passes the token on to the next member
+				 */
+				passToken: () => {
+					if (holder !== member) throw new Error(`Member ${id} does not hold the token`)
+					giveToken(next(member))
+				},
+				/**
+				 * Checks whether the member holds the token
+				 * @returns {Boolean}
+				 */
+				holdsToken: () => holder === member,
+				/**
+				 * Leaves the ring (passing the token on, if held), which gets re-linked around the member. Messages the member had still to forward are lost.
+				 */
+				leave: () => {
+					if (!members.includes(member)) return
+					const nextMember = next(member)
+					members.splice(members.indexOf(member), 1)
+					if (holder === member) giveToken(nextMember === member ? null : nextMember)
+					for (const waiter of member.tokenWaiters.splice(0)) waiter.reject(new ConnectionClosedError(`Member ${id} has left the ring`))
+					link.close()
+					received.close()
+				}
+			})
+			members.push(member)
+			if (!holder) giveToken(member)
+			return member.facet
 		}
-		for (let i = 0; i < edges; i++)	connectionCycle.new()
-		return connectionCycle
+
+		const ring = Object.freeze(Object.defineProperties({ join }, {
+			/**
+			 * The members, in ring order
+			 */
+			members: { get: () => members.map(({ facet }) => facet), enumerable: true },
+			/**
+			 * The member holding the token (null if the ring is empty)
+			 */
+			holder: { get: () => holder && holder.facet, enumerable: true }
+		}))
+		for (let i = 0; i < edges; i++) join()
+		return ring
 	}
 	/**
-	 * 
+	 * Creates a tree network of nodes, each one linked to its parent and children by pairs of connections.
+	 * Nodes have stable ids, derived from their position in the tree ("0" for the root, "0.1" for its second child, "0.1.0" for that one's first child, and so on),
+	 * so messages can be routed hop by hop: each node either keeps a message addressed to it, or forwards it to the child whose subtree holds the destination, or else to its parent.
+	 * Nodes receive messages tagged with the id of the node they originate from ([originId, ...message]).
+	 * Links carry the network's framed messages: ["route", originId, destinationId, ...message] and ["broadcast", originId, ...message].
+	 * @returns {Node} The root node
 	 */
 	static createAcyclicNetwork() {
+		// Every node in the network, by id
+		const nodes = new Map()
 		class Node {
-			constructor() {
-				this.connections = []
-			}
-			connect(peerReceive) {
-				const connection = new Connection(peerReceive)
-				this.connections.push(connection)
-				return connection.receive
-			}
-			spawn() {
-				const node = new Node()
-				const nodeConnection = new Connection((message) => nodeReceive(message))
-				const nodeReceive = node.connect(nodeConnection.receive)
-				this.connections.push(nodeConnection)
-				return node
+			/**
+			 * @param {String} id
+			 * @param {Node} parent
+			 * @param {Connection} parentLink Connection reaching the parent
+			 * @param {Function} detach Lets the parent know the node has been removed
+			 */
+			constructor(id, parent = null, parentLink = null, detach = () => { }) {
+				// Children, along with the connection reaching each one, by id
+				const children = new Map()
+				var lastChildNumber = -1
+				var removed = false
+				// Connection through which messages reaching this node are relayed
+				const received = new Connection
+
+				// Forwarding a message to the next hop (if it is no longer there, the message is lost along with it)
+				const forward = (link, frame) => {
+					try { link.send(...frame) } catch { }
+				}
+				// Link to the next hop towards a node: the child whose subtree holds it, or else the parent
+				const nextHop = (destination) => {
+					if (!destination.startsWith(id + ".")) return parentLink
+					const childId = `${id}.${destination.slice(id.length + 1).split(".")[0]}`
+					return children.has(childId) ? children.get(childId).link : null
+				}
+				const handle = (frame) => {
+					if (frame[0] === "route") {
+						const [, origin, destination, ...message] = frame
+						if (destination === id) received.receive([origin, ...message])
+						else if (nextHop(destination)) forward(nextHop(destination), frame)
+					}
+					else if (frame[0] === "broadcast") {
+						const [, origin, ...message] = frame
+						received.receive([origin, ...message])
+						for (const child of children.values()) forward(child.link, frame)
+					}
+				}
+				// Handling the messages arriving through a link, for as long as it lasts
+				const relay = async (link) => {
+					try {
+						for await (let frame of link.messages) handle(frame)
+					}
+					catch { }
+				}
+				const throwIfRemoved = () => {
+					if (removed) throw new ConnectionClosedError(`Node ${id} has been removed`)
+				}
+
+				this.id = id
+				this.parent = parent
+				Object.defineProperties(this, {
+					/**
+					 * The node's children (a copy of them, as it is only changed by spawning and removing nodes)
+					 */
+					children: { get: () => [...children.values()].map(({ node }) => node) }
+				})
+
+				/**
+				 * Messages sent (or broadcast) to the node, tagged with the id of the node they originate from
+				 */
+				this.messages = received.messages
+
+				/**
+				 * Creates a child node
+				 * @returns {Node}
+				 */
+				this.spawn = () => {
+					throwIfRemoved()
+					const [link, childLink] = Connection.createPair()
+					const childId = `${id}.${++lastChildNumber}`
+					const node = new Node(childId, this, childLink, () => {
+						children.delete(childId)
+						link.close()
+					})
+					children.set(childId, { node, link })
+					relay(link)
+					return node
+				}
+
+				/**
+				 * Sends a message to a node anywhere in the network, routed hop by hop
+				 * @param {String} nodeId
+				 * @param {...any} message
+				 */
+				this.sendTo = (nodeId, ...message) => {
+					throwIfRemoved()
+					if (!nodes.has(nodeId)) throw new UnreachableError(`There is no node ${nodeId} in the network`)
+					handle(["route", id, nodeId, ...message])
+				}
+
+				/**
+				 * Sends a message to every node in the node's subtree (not including the node itself)
+				 * @param {...any} message
+				 */
+				this.broadcast = (...message) => {
+					throwIfRemoved()
+					for (const child of children.values()) forward(child.link, ["broadcast", id, ...message])
+				}
+
+				/**
+				 * Removes the node, along with its whole subtree: their links are closed, and their "messages" iterations end
+				 */
+				this.remove = () => {
+					if (removed) return
+					for (const { node } of [...children.values()]) node.remove()
+					removed = true
+					nodes.delete(id)
+					if (parentLink) parentLink.close()
+					detach()
+					received.close()
+				}
+
+				nodes.set(id, this)
+				if (parentLink) relay(parentLink)
+				Object.freeze(this)
 			}
 		}
-		return new Node()
+		return new Node("0")
 	}
 }
 // Freezing the class, so it does not get modified at runtime
@@ -0,0 +1,62 @@
+/**
+ * Base error for everything that can go wrong while using a connection (or the objects built upon connections).
+ * Subclasses are named after their class, so they can be told apart by "instanceof" locally, and by "name" once they have crossed a boundary.
+ */
+export class ConnectionError extends Error {
+	constructor(message, options) {
+		super(message, options)
+		this.name = new.target.name
+	}
+}
+
+/**
+ * Raised when a message arrives to a full message buffer whose overflow policy is "throw".
+ */
+export class BufferOverflowError extends ConnectionError { }
+
+/**
+ * Raised when sending through (or receiving on) a connection that has been closed.
+ */
+export class ConnectionClosedError extends ConnectionError { }
+
+/**
+ * Raised when something awaited through a connection (like a remote call's result) does not arrive in time.
+ */
+export class TimeoutError extends ConnectionError { }
+
+/**
+ * Local counterpart of an error raised by the complement, like a remote call handler's error.
+ * The remote error's name and stack are kept in "remoteName" and "remoteStack".
+ */
+export class RemoteError extends ConnectionError {
+	constructor(message, { name = "Error", stack } = {}) {
+		super(message)
+		this.remoteName = name
+		this.remoteStack = stack
+	}
+}
+
+/**
+ * Raised when using a reference (to a remote object) that has been revoked or released.
+ */
+export class RevokedError extends ConnectionError { }
+
+/**
+ * Raised when a connect attempt fails, like when using a connect capability that is no longer valid.
+ */
+export class ConnectError extends ConnectionError { }
+
+/**
+ * Raised when a message is addressed to a peer (or node) that can not be reached, like an address no peer is attached to.
+ */
+export class UnreachableError extends ConnectionError { }
+
+/**
+ * Raised when the complement is not allowed to perform an operation, like an operation on an exported object that its policy forbids.
+ */
+export class PermissionError extends ConnectionError { }
+
+/**
+ * Raised when sending a message holding an object that is not allowed to cross (any more) connection boundaries (see Connection.transferable and Connection.local).
+ */
+export class TransferError extends ConnectionError { }
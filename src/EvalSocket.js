@@ -0,0 +1,349 @@
+import { Worker } from "worker_threads"
+import { TimeoutError } from "./Errors.js"
+import { Rpc } from "./Rpc.js"
+
+/**
+ * Sandbox the evaluations run in, within their own worker (thread).
+ * It is passed to the worker as source code, so it can only use what the worker itself has (messages posted to the worker wait until it listens to them).
+ * The sandbox is a vm context with nothing but the language's built-ins, the allowed host globals, the extra globals provided,
+ * plus "send" (sending a message through the socket) and "messages" (an async iterable of the socket's messages that are not evaluations).
+ * The worker and the EvalSocket talk through: { type: "eval", id, code } and { type: "message", json } one way,
+ * and { type: "return", id, value }, { type: "throw", id, error } and { type: "send", message } the other way.
+ */
+async function sandbox() {
+	// Importing dynamically, as the worker's code can be evaluated as either a script or a module (depending on the process's flags)
+	const vm = await import("vm")
+	const { parentPort, workerData: { allow, globals, timeout } } = await import("worker_threads")
+
+	/**
+	 * Sets up the context's side, evaluated within the context itself, so that nothing the context holds (not even the prototypes of "send", of "messages" and of its promises) leads back to the worker's realm,
+	 * and from there to its Function constructor (and to "process"). Globals and messages get in as JSON, parsed by the context's own JSON.
+	 * Host values (the allowed host globals, and whatever they lead to) are only held by the worker, and reached through proxies of the context's own,
+	 * which get nothing but primitives (and handles of other host values) out of the host operations they perform, through "settle" callbacks of the context's own.
+	 * @param {Function} post Posts a message to the socket, returning the reason (text) it could not be posted, if any
+	 * @param {String} globals
+	 * @param {Function} operate Performs an operation on a host value: (settle, operation, handle, key, descriptors of the operands)
+	 * @returns {Object} "deliver" delivers a message (as JSON) to the context's "messages", and "expose" defines a global holding a host value
+	 */
+	function contextSide(post, globals, operate) {
+		// Built-ins the proxies rely on, kept before any evaluation can replace them
+		const { apply, construct } = Reflect
+		const hasOwn = Object.hasOwn
+		const errorClasses = { Error, TypeError, RangeError, SyntaxError, ReferenceError, EvalError, URIError }
+		// Proxies of host values by handle, and the other way around
+		const proxies = new Map()
+		const handles = new WeakMap()
+		// Invokers of the context's functions passed to the host, by function
+		const invokers = new WeakMap()
+
+		// Runs a host operation, turning its outcome into the context's own values (host values becoming proxies, host errors becoming the context's errors)
+		const outcome = (operation) => {
+			var value, error = null
+			operation((type, result, detail) => {
+				if (type === "value") value = result
+				else if (type === "handle") value = proxyOf(result, detail)
+				else error = new (hasOwn(errorClasses, detail) ? errorClasses[detail] : Error)(result)
+			})
+			if (error) throw error
+			return value
+		}
+		// Describes the context's values to the host: proxies by handle, functions by invoker (which the host calls with the describers of its arguments), and the rest as they are
+		const describe = (value) => {
+			if (handles.has(value)) return ["handle", handles.get(value)]
+			if (typeof value !== "function") return ["value", value]
+			if (!invokers.has(value)) {
+				invokers.set(value, (count, describeArgument) => {
+					const args = []
+					for (let index = 0; index < count; index++) args[index] = outcome((settle) => describeArgument(index, settle))
+					return apply(value, undefined, args)
+				})
+			}
+			return ["function", invokers.get(value)]
+		}
+		const describeAll = (values) => {
+			const descriptors = []
+			for (let index = 0; index < values.length; index++) descriptors[index] = describe(values[index])
+			return descriptors
+		}
+		const proxyOf = (handle, callable) => {
+			if (proxies.has(handle)) return proxies.get(handle)
+			const run = (operation, key, descriptors = []) => outcome((settle) => operate(settle, operation, handle, key, descriptors))
+			// Proxying a bound function (for callable values), so proxies have no own properties they should report
+			const proxy = new Proxy(callable ? function () { }.bind() : {}, {
+				get: (target, key) => run("get", key),
+				set: (target, key, value) => run("set", key, [describe(value)]),
+				has: (target, key) => run("has", key),
+				deleteProperty: (target, key) => run("deleteProperty", key),
+				ownKeys: () => {
+					const keys = []
+					outcome((settle) => operate((type, result, detail) => {
+						if (type === "key") keys[keys.length] = result
+						else settle(type, result, detail)
+					}, "ownKeys", handle, undefined, []))
+					return keys
+				},
+				getOwnPropertyDescriptor: (target, key) => {
+					const enumerable = run("getOwnPropertyDescriptor", key)
+					return enumerable === undefined ? undefined : { value: run("get", key), writable: true, enumerable, configurable: true }
+				},
+				apply: (target, thisArgument, args) => run("apply", undefined, describeAll([thisArgument, ...args])),
+				construct: (target, args) => run("construct", undefined, describeAll(args))
+			})
+			proxies.set(handle, proxy)
+			handles.set(proxy, handle)
+			return proxy
+		}
+
+		// Messages waiting to be pulled, and the receivers waiting for messages
+		const inbox = []
+		const receivers = []
+		Object.assign(globalThis, JSON.parse(globals), {
+			messages: {
+				[Symbol.asyncIterator]: () => ({
+					next: () => inbox.length > 0 ? Promise.resolve({ done: false, value: inbox.shift() }) : new Promise((resolve) => receivers.push(resolve))
+				})
+			},
+			send: (...message) => {
+				const failure = post(message)
+				if (failure !== undefined) throw new Error(failure)
+			}
+		})
+		return {
+			deliver: (json) => {
+				const message = JSON.parse(json)
+				if (receivers.length > 0) receivers.shift()({ done: false, value: message })
+				else inbox.push(message)
+			},
+			expose: (name, handle, callable) => {
+				globalThis[name] = proxyOf(handle, callable)
+			}
+		}
+	}
+
+	// Host values held by the context (through proxies), by handle, and the other way around
+	const hostValues = [null]
+	const hostHandles = new Map()
+	// Host values that lead to running code in the worker's realm, and to "process", which are never handed to the context
+	const unreachable = [globalThis, globalThis.process, eval, Function, ...[async function () { }, function* () { }, async function* () { }].map((fn) => fn.constructor)]
+	// Host functions invoking the context's functions, by invoker
+	const hostFunctions = new WeakMap()
+
+	// Microtasks run after each evaluation (within its timeout), rather than after the worker's own tasks, so promise jobs can not run away with the worker
+	const context = vm.createContext({}, { microtaskMode: "afterEvaluate" })
+	// Running the context's promise jobs that are not run by an evaluation (e.g. the ones queued by allowed timers' callbacks, or by messages), within the timeout, once the host is done calling into the context
+	const checkpoint = new vm.Script("")
+	var depth = 0
+	const enter = (callback) => {
+		depth++
+		try {
+			return callback()
+		}
+		finally {
+			if (--depth === 0) {
+				try { checkpoint.runInContext(context, { timeout }) } catch { }
+			}
+		}
+	}
+
+	// Hands a host value to the context: primitives as they are, and objects by handle (which the context makes a proxy of)
+	const toContext = (value, settle) => {
+		if (value === null || (typeof value !== "object" && typeof value !== "function")) return settle("value", value)
+		if (unreachable.includes(value)) return settle("throw", "Host value can not be reached", "TypeError")
+		if (!hostHandles.has(value)) {
+			hostHandles.set(value, hostValues.length)
+			hostValues.push(value)
+		}
+		settle("handle", hostHandles.get(value), typeof value === "function")
+	}
+	// Takes a value described by the context (see contextSide)
+	const fromContext = (descriptor) => {
+		const type = descriptor[0], value = descriptor[1]
+		if (type === "handle") return hostValues[value]
+		if (type !== "function") return value
+		if (!hostFunctions.has(value)) {
+			hostFunctions.set(value, (...args) => enter(() => value(args.length, (index, settle) => toContext(args[index], settle))))
+		}
+		return hostFunctions.get(value)
+	}
+
+	const side = vm.runInContext(`(${contextSide})`, context)((message) => {
+		try {
+			parentPort.postMessage({ type: "send", message })
+		}
+		catch (error) {
+			return String(error.message)
+		}
+	}, JSON.stringify(globals), (settle, operation, handle, key, descriptors) => {
+		try {
+			const target = hostValues[handle]
+			const values = []
+			for (let index = 0; index < descriptors.length; index++) values.push(fromContext(descriptors[index]))
+			if (operation === "ownKeys") {
+				for (const ownKey of Reflect.ownKeys(target)) settle("key", ownKey)
+				return settle("value")
+			}
+			if (operation === "getOwnPropertyDescriptor") {
+				const descriptor = Reflect.getOwnPropertyDescriptor(target, key)
+				return settle("value", descriptor && descriptor.enumerable)
+			}
+			const result = operation === "get" ? Reflect.get(target, key)
+				: operation === "set" ? Reflect.set(target, key, values[0])
+					: operation === "has" ? Reflect.has(target, key)
+						: operation === "deleteProperty" ? Reflect.deleteProperty(target, key)
+							: operation === "apply" ? Reflect.apply(target, values[0], values.slice(1))
+								: Reflect.construct(target, values)
+			toContext(result, settle)
+		}
+		catch (error) {
+			settle("throw", String(error && error.message), error && typeof error.name === "string" ? error.name : "Error")
+		}
+	})
+	for (const name of allow) {
+		const value = globalThis[name]
+		if (value !== undefined && !unreachable.includes(value)) toContext(value, (type, handle, callable) => side.expose(name, handle, callable))
+	}
+
+	// Errors are reported by name (timeouts being TimeoutErrors, like everywhere else), message and stack (errors thrown by the context come from another realm, so "instanceof" can not tell them)
+	const toError = (error) => error && error.code === "ERR_SCRIPT_EXECUTION_TIMEOUT" ? { name: "TimeoutError", message: error.message, stack: error.stack }
+		: typeof error === "object" && error !== null ? { name: error.name, message: error.message, stack: error.stack } : { message: String(error) }
+
+	parentPort.on("message", async ({ type, id, code, json }) => {
+		if (type === "message") {
+			try { enter(() => side.deliver(json)) } catch { }
+		}
+		else if (type === "eval") {
+			var timer
+			try {
+				// The timeout interrupts synchronous code (and the promise jobs it queues), and stops waiting for asynchronous results (without stopping what produces them)
+				const startedAt = Date.now()
+				const result = enter(() => vm.runInContext(code, context, { timeout }))
+				// Racing within the context (as results can be thenables of the context's own, whose "then" is called by a promise job of the context)
+				const value = await enter(() => Promise.race([result, new Promise((resolve, reject) => {
+					timer = setTimeout(() => reject({ code: "ERR_SCRIPT_EXECUTION_TIMEOUT", message: `Script execution timed out after ${timeout}ms` }), timeout - (Date.now() - startedAt))
+				})]))
+				parentPort.postMessage({ type: "return", id, value })
+			}
+			catch (error) {
+				parentPort.postMessage({ type: "throw", id, error: toError(error) })
+			}
+			finally {
+				clearTimeout(timer)
+			}
+		}
+	})
+}
+
+/**
+ * Eval socket: the "wired eval" of the protocol roadmap, where the complement sends code, which runs against a context that can reach the socket.
+ * Every eval socket (so every connection) gets a context of its own, a vm context within a worker (thread) of its own,
+ * where evaluations are limited in time, and in memory (a worker running out of memory, or failing to answer in time, is replaced by a fresh one, along with a fresh context).
+ * Contexts expose only the allowed host globals (e.g. "setTimeout" or "TextEncoder") and the extra globals provided (copied into the context as JSON),
+ * plus the socket's "send", and "messages" (the socket's messages that are not evaluations, copied into the context as JSON). Contexts keep their state, so protocols can be bootstrapped into them, evaluation after evaluation.
+ * Messages that can not be copied into the context (e.g. holding BigInts, or circular references) are answered with ["eval:undelivered", { name, message }] (the error they failed with), rather than delivered.
+ *
+ * Evaluations are remote calls (see Rpc) of the "eval" method, e.g. "await new Rpc(socket).call("eval", "1 + 1")", which resolve with the (structured clonable) result,
+ * or reject with a RemoteError named after the error thrown (a "TimeoutError" when the evaluation takes too long).
+ * Nothing the context holds leads back to the worker's realm (and from there to "process", which the worker shares with the whole process): allowed host globals are reached through proxies made within the context,
+ * which hand it nothing of the worker's realm but primitives (and proxies of other host values), and never the worker's code constructors (like Function), its global object, or "process" itself.
+ * What the allowed host globals can do, evaluations can do too, so only allow the ones that are safe to share (timers, encoders, and alike).
+ */
+export class EvalSocket {
+	/**
+	 * Starts evaluating the code sent by the complement through the socket.
+	 * The eval socket becomes the socket's receiver, for as long as the socket's "messages" iteration lasts (after which its worker is terminated).
+	 * @param {Socket} socket Socket (or connection) to the complement
+	 * @param {Object} options
+	 * @param {Array} options.allow Names of the host globals the context can use (none by default)
+	 * @param {Object} options.globals Extra globals (JSON values) the context starts with
+	 * @param {Number} options.timeout Time (in milliseconds) each evaluation can take (an evaluation that gets no answer within twice that time, as the worker is stuck, terminates the worker)
+	 * @param {Number} options.memory Memory (in megabytes) the context's heap can take
+	 */
+	constructor(socket, { allow = [], globals = {}, timeout = 1000, memory = 64 } = {}) {
+		const rpc = new Rpc(socket)
+		// Evaluations waiting for their result, by id
+		const pendingEvaluations = new Map()
+		var lastEvaluationId = 0
+		var worker = null
+		var ended = false
+
+		const startWorker = () => {
+			const currentWorker = worker = new Worker(`(${sandbox})()`, {
+				eval: true,
+				workerData: { allow, globals, timeout },
+				// Not letting the worker see the process's environment variables
+				env: {},
+				resourceLimits: { maxOldGenerationSizeMb: memory }
+			})
+			currentWorker.on("message", ({ type, id, value, error, message }) => {
+				if (type === "send") {
+					try { socket.send(...message) } catch { }
+				}
+				else if (pendingEvaluations.has(id)) {
+					const evaluation = pendingEvaluations.get(id)
+					pendingEvaluations.delete(id)
+					clearTimeout(evaluation.timer)
+					if (type === "return") evaluation.resolve(value)
+					else evaluation.reject(Object.assign(new Error(error.message), error))
+				}
+			})
+			// The worker is gone (e.g. it ran out of memory), so are its evaluations (the next ones run in a fresh worker)
+			const fail = (error) => {
+				if (worker === currentWorker) worker = null
+				for (const evaluation of pendingEvaluations.values()) {
+					clearTimeout(evaluation.timer)
+					evaluation.reject(error)
+				}
+				pendingEvaluations.clear()
+			}
+			currentWorker.on("error", fail)
+			currentWorker.on("exit", () => fail(new Error("Evaluation context is gone")))
+		}
+
+		rpc.expose({
+			eval: (code) => new Promise((resolve, reject) => {
+				if (ended) throw new Error("Eval socket is closed")
+				if (!worker) startWorker()
+				const id = ++lastEvaluationId
+				const currentWorker = worker
+				// The worker enforces the timeout itself, unless it is stuck (e.g. in a loop the vm timeout can not interrupt), in which case it gets replaced
+				const timer = setTimeout(() => {
+					pendingEvaluations.delete(id)
+					reject(new TimeoutError(`Script execution timed out after ${timeout}ms, and the evaluation context got stuck`))
+					currentWorker.terminate()
+				}, 2 * timeout)
+				pendingEvaluations.set(id, { resolve, reject, timer })
+				worker.postMessage({ type: "eval", id, code: String(code) })
+			})
+		})
+
+		/**
+		 * Terminates the evaluation context (evaluations in progress fail, and no more evaluations are possible)
+		 */
+		this.close = () => {
+			ended = true
+			if (worker) worker.terminate()
+		}
+
+		// Relaying the socket's other messages to the context
+		startWorker()
+		; (async () => {
+			try {
+				for await (let message of rpc.messages) {
+					if (!worker) startWorker()
+					// Messages the context can not take (as they have no JSON form) are reported back to the complement, and the socket goes on
+					try {
+						worker.postMessage({ type: "message", json: JSON.stringify(message) })
+					}
+					catch (error) {
+						try { socket.send("eval:undelivered", { name: error.name, message: error.message }) } catch { }
+					}
+				}
+			}
+			catch { }
+			this.close()
+		})()
+		Object.freeze(this)
+	}
+	close() { }
+}
+Object.freeze(EvalSocket)
@@ -0,0 +1,145 @@
+import { Connection } from "./Connection.js"
+import { ConnectError, UnreachableError } from "./Errors.js"
+
+/**
+ * Hub: a router of messages among named peers.
+ * Peers attach under an address, and get an ordinary connection, whose "send" asks the hub to route a message, and whose "messages" carry the messages routed to them.
+ * Messages are unicast to an address, broadcast to every other peer, or published to a topic (reaching the peers subscribed to it, the publisher included if subscribed).
+ *
+ * Peers ask the hub through their connection's framed messages:
+ * - ["to", address, ...message]
+ * - ["broadcast", ...message]
+ * - ["publish", topic, ...message]
+ * - ["subscribe", topic]
+ * - ["unsubscribe", topic]
+ * And receive, tagged with the sender's address:
+ * - ["from", sender, ...message]
+ * - ["broadcast", sender, ...message]
+ * - ["publish", topic, sender, ...message]
+ * Senders awaiting delivery (sendAsync) are notified once every recipient has pulled the message.
+ * Under the "block" overflow policy, sending returns a promise that resolves once every recipient has room for the message (recipients failing in the meantime are left out).
+ */
+export class Hub {
+	/**
+	 * @param {Object} options Message buffer options for the connections of attached peers (see Connection)
+	 */
+	constructor(options) {
+		// Attached peers (their address, connection, and the topics they are subscribed to), by address
+		const peers = new Map()
+		// Peers subscribed to each topic, by topic
+		const topics = new Map()
+
+		// Delivering a message to many peers, notifying the sender (if awaiting delivery) once every one of them has pulled it
+		// Recipients with a full buffer under the "block" overflow policy hold the sender back (see Connection), until every one of them has room for the message (or has failed)
+		const deliver = (recipients, message, deliveryHandler) => {
+			var pendingDeliveries = recipients.length
+			const recipientHandler = deliveryHandler && {
+				resolve: () => --pendingDeliveries === 0 && deliveryHandler.resolve(),
+				reject: deliveryHandler.reject
+			}
+			if (deliveryHandler && recipients.length === 0) deliveryHandler.resolve()
+			const blocked = []
+			for (const recipient of recipients) {
+				// A recipient that can not take the message (e.g. it closed its connection, and is about to be detached) does not keep the rest from getting it
+				try {
+					const result = recipient.connection.receive(message, recipientHandler)
+					if (result && typeof result.then === "function") blocked.push(result.catch(() => { }))
+				}
+				catch { if (recipientHandler) recipientHandler.resolve() }
+			}
+			if (blocked.length > 0) return Promise.all(blocked).then(() => { })
+		}
+
+		const unsubscribe = (peer, topic) => {
+			peer.topics.delete(topic)
+			if (!topics.has(topic)) return
+			topics.get(topic).delete(peer)
+			if (topics.get(topic).size === 0) topics.delete(topic)
+		}
+
+		// Routing a message sent by a peer
+		const route = (peer, [type, ...frames], deliveryHandler) => {
+			if (type === "to") {
+				const [address, ...message] = frames
+				if (!peers.has(address)) throw new UnreachableError(`No peer is attached to "${address}"`)
+				return peers.get(address).connection.receive(["from", peer.address, ...message], deliveryHandler)
+			}
+			else if (type === "broadcast") {
+				return deliver([...peers.values()].filter((recipient) => recipient !== peer), ["broadcast", peer.address, ...frames], deliveryHandler)
+			}
+			else if (type === "publish") {
+				const [topic, ...message] = frames
+				return deliver([...(topics.get(topic) || [])], ["publish", topic, peer.address, ...message], deliveryHandler)
+			}
+			else if (type === "subscribe" || type === "unsubscribe") {
+				const [topic] = frames
+				if (type === "unsubscribe") unsubscribe(peer, topic)
+				else {
+					if (!topics.has(topic)) topics.set(topic, new Set())
+					topics.get(topic).add(peer)
+					peer.topics.add(topic)
+				}
+				if (deliveryHandler) deliveryHandler.resolve()
+			}
+			else throw new TypeError(`Unknown hub operation: ${type}`)
+		}
+
+		// Removing a peer, along with its subscriptions, and closing its connection
+		const detachPeer = (peer) => {
+			if (peers.get(peer.address) !== peer) return
+			peers.delete(peer.address)
+			for (const topic of [...peer.topics]) unsubscribe(peer, topic)
+			peer.connection.close()
+		}
+
+		/**
+		 * Attaches a peer under an address
+		 * The peer is detached once its connection gets closed (by either the peer or the hub).
+		 * @param {*} address
+		 * @returns {Connection} The peer's connection to the hub
+		 */
+		this.attach = (address) => {
+			if (peers.has(address)) throw new ConnectError(`A peer is already attached to "${address}"`)
+			const peer = { address, topics: new Set() }
+			peer.connection = new Connection((message, deliveryHandler) => route(peer, message, deliveryHandler), options)
+			peers.set(address, peer)
+			peer.connection.closed.then(() => detachPeer(peer), () => detachPeer(peer))
+			return peer.connection
+		}
+
+		/**
+		 * Detaches the peer attached under an address (if any), dropping its subscriptions, and closing its connection
+		 * @param {*} address
+		 */
+		this.detach = (address) => {
+			if (peers.has(address)) detachPeer(peers.get(address))
+		}
+
+		/**
+		 * Reports the addresses of the attached peers
+		 * @returns {Array}
+		 */
+		this.addresses = () => [...peers.keys()]
+
+		/**
+		 * Reports the addresses of the peers subscribed to a topic
+		 * @param {*} topic
+		 * @returns {Array}
+		 */
+		this.subscribers = (topic) => [...(topics.get(topic) || [])].map(({ address }) => address)
+
+		/**
+		 * Detaches every peer
+		 */
+		this.close = () => {
+			for (const peer of [...peers.values()]) detachPeer(peer)
+		}
+		Object.freeze(this)
+	}
+	attach(address) { }
+	detach(address) { }
+	addresses() { }
+	subscribers(topic) { }
+	close() { }
+}
+Object.freeze(Hub)
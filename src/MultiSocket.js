@@ -0,0 +1,85 @@
+import { Connection } from "./Connection.js"
+import { ConnectError } from "./Errors.js"
+import { Socket } from "./Socket.mjs"
+
+/**
+ * Multi socket (the "server" socket): a socket that can be connected to by any number of complements.
+ * It hands out connect capabilities (listen), and every time one is used, a fresh socket gets connected to the complement using it, and is received through the "connections" iterable.
+ * Live connections are tracked, so they can all be disconnected at once (close).
+ */
+export class MultiSocket {
+	/**
+	 * @param {Object} options Options for the sockets created for each connection (see Socket)
+	 */
+	constructor(options) {
+		// Connection through which connected sockets are relayed
+		const connections = new Connection
+		// Sockets currently connected
+		const liveSockets = new Set()
+		var closed = false
+
+		/**
+		 * Creates a connect capability, to be given to complements, which they connect with (e.g. "socket.connect(capability)")
+		 * @param {Object} options
+		 * @param {Number} options.uses Number of times the capability can be used to connect (unlimited by default)
+		 * @returns {Function} connect capability
+		 */
+		this.listen = ({ uses = Infinity } = {}) => async () => {
+			if (closed) throw new ConnectError("Multi socket is closed")
+			if (uses <= 0) throw new ConnectError("Connect capability has been used up")
+			const socket = new Socket(options)
+			const offer = await socket.connect()
+			// Wrapping the offer, to count the use (like connect tokens do, see Socket.mint) and track the socket once the complement accepts it, as offers fetched but never accepted use nothing up
+			return (complementReceive, complementDisconnect, complementConnectionOffer, complementControl) => {
+				if (closed || uses <= 0) throw new ConnectError("Connect capability is no longer valid")
+				uses--
+				const untrack = () => liveSockets.delete(socket)
+				// Untracking the socket when it disconnects (either by the complement, or locally)
+				offer(
+					complementReceive,
+					(error) => {
+						untrack()
+						complementDisconnect(error)
+					},
+					(socketReceive, socketDisconnect, socketConnectionOffer, socketControl) => complementConnectionOffer(socketReceive, (error) => {
+						untrack()
+						socketDisconnect(error)
+					}, socketConnectionOffer, socketControl),
+					complementControl
+				)
+				liveSockets.add(socket)
+				connections.receive([socket])
+			}
+		}
+
+		/**
+		 * Sockets connected through the capabilities handed out
+		 */
+		this.connections = {
+			[Symbol.asyncIterator]: async function* () {
+				for await (let [socket] of connections.messages) yield socket
+			}
+		}
+
+		/**
+		 * Reports how many sockets are currently connected
+		 * @returns {Number}
+		 */
+		this.connectionCount = () => liveSockets.size
+
+		/**
+		 * Closes the multi socket: every capability handed out stops working, every live socket is disconnected, and the "connections" iteration ends
+		 */
+		this.close = () => {
+			closed = true
+			for (const socket of [...liveSockets]) socket.disconnect()
+			connections.close()
+		}
+		Object.freeze(this)
+	}
+	connections
+	listen(options) { }
+	connectionCount() { }
+	close() { }
+}
+Object.freeze(MultiSocket)
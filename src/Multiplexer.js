@@ -0,0 +1,194 @@
+import { Connection } from "./Connection.js"
+import { ConnectionClosedError } from "./Errors.js"
+
+/**
+ * Channel multiplexer: many logical connections (channels) over a single socket (or connection).
+ * Either end can open a channel, identified by a number or a name, and both ends get the same channel when they open the same id.
+ * Channels opened by the complement (and not yet opened locally) are received through the multiplexer's "channels" iterable.
+ *
+ * Each channel has its own flow control: a sender can only have "window" messages on their way to the complement's channel at a time,
+ * and the complement grants more as its receivers pull them. So a busy (or slow) channel never floods the socket, nor starves other channels.
+ * Both ends of a multiplexer should use the same window.
+ *
+ * Channels are multiplexed over the socket's framed messages:
+ * - ["mux:open", id]
+ * - ["mux:data", id, ...message]
+ * - ["mux:credit", id, count]
+ * - ["mux:close", id]
+ * Any other message is left for others to receive, through the multiplexer's own "messages" iterable.
+ */
+export class Multiplexer {
+	/**
+	 * Starts multiplexing the socket provided.
+	 * The multiplexer becomes the socket's receiver, for as long as the socket's "messages" iteration lasts.
+	 * @param {Socket} socket
+	 * @param {Object} options
+	 * @param {Number} options.window Maximum number of messages per channel that can be on their way to the complement (not yet pulled by it)
+	 */
+	constructor(socket, { window = 16 } = {}) {
+		// Channels by id, along with the callbacks handling their protocol messages
+		const channels = new Map()
+		// Connection through which channels opened by the complement are relayed
+		const openedChannels = new Connection
+		// Connection through which messages that are not part of the protocol are relayed
+		const passthrough = new Connection
+		var ended = false
+
+		/**
+		 * Creates a channel, and registers it
+		 * @param {Number|String} id
+		 * @returns {Object} The channel facet
+		 */
+		const createChannel = (id) => {
+			// Messages waiting for credit to be sent
+			const outgoing = []
+			var credit = window
+			// Credit granted to the complement (pulled messages) not yet reported to it
+			var pendingCredit = 0
+			var closing = false
+
+			const pump = () => {
+				while (credit > 0 && outgoing.length > 0) {
+					credit--
+					const { message, deliveryHandler } = outgoing.shift()
+					try {
+						Connection.transferred(message, () => socket.send("mux:data", id, ...message))
+						if (deliveryHandler) deliveryHandler.resolve()
+					}
+					catch (error) {
+						if (deliveryHandler) deliveryHandler.reject(error)
+					}
+				}
+				// A closing channel lets the complement know once every message accepted before closing has been sent
+				if (closing && outgoing.length === 0 && channels.get(id) === channel) {
+					channels.delete(id)
+					try { socket.send("mux:close", id) } catch { }
+				}
+			}
+
+			// Outgoing messages are queued until there is credit for them (senders awaiting delivery are notified once they are sent)
+			// They are taken across the boundary right away (see Connection.transferable), so sending objects that can not cross it fails on the spot
+			const connection = new Connection((message, deliveryHandler) => {
+				Connection.transfer(message)
+				outgoing.push({ message, deliveryHandler })
+				pump()
+			})
+
+			// Granting credit in batches (of at least half the window), to spare protocol messages
+			const grantCredit = () => {
+				if (++pendingCredit < Math.ceil(window / 2) || channels.get(id) !== channel) return
+				try { socket.send("mux:credit", id, pendingCredit) } catch { }
+				pendingCredit = 0
+			}
+
+			const channel = {
+				receive: (message) => {
+					// Messages arriving after closing the channel locally are ignored
+					try { connection.receive(message, { resolve: grantCredit, reject: grantCredit }) } catch { }
+				},
+				credit: (count) => {
+					credit += count
+					pump()
+				},
+				// Closed by the complement (or the socket): messages already received can still be pulled, but messages not yet sent never will be
+				end: (error) => {
+					channels.delete(id)
+					for (const { deliveryHandler } of outgoing.splice(0)) {
+						if (deliveryHandler) deliveryHandler.reject(error || new ConnectionClosedError("Channel is closed"))
+					}
+					if (error) connection.error(error)
+					else connection.close()
+				},
+				facet: Object.freeze({
+					id,
+					messages: connection.messages,
+					closed: connection.closed,
+					send: connection.send,
+					sendAsync: connection.sendAsync,
+					sendWith: connection.sendWith,
+					bufferedCount: connection.bufferedCount,
+					/**
+					 * Closes the channel (on both ends), once the messages already sent through it are on their way
+					 */
+					close: () => {
+						if (closing || channels.get(id) !== channel) return
+						closing = true
+						connection.close()
+						pump()
+					}
+				})
+			}
+			channels.set(id, channel)
+			return channel
+		}
+
+		/**
+		 * Opens a channel (or returns the already open channel with that id)
+		 * @param {Number|String} id
+		 * @returns {Object} Connection-like channel object, with "messages", "send", "sendAsync", "sendWith", "bufferedCount", "close" and "closed"
+		 */
+		this.open = (id) => {
+			if (ended) throw new ConnectionClosedError("Multiplexed socket is disconnected")
+			if (channels.has(id)) return channels.get(id).facet
+			const channel = createChannel(id)
+			socket.send("mux:open", id)
+			return channel.facet
+		}
+
+		/**
+		 * Channels opened by the complement
+		 */
+		this.channels = {
+			[Symbol.asyncIterator]: async function* () {
+				for await (let [channel] of openedChannels.messages) yield channel
+			}
+		}
+
+		/**
+		 * Messages that are not part of the protocol
+		 */
+		this.messages = passthrough.messages
+
+		// Receiving the protocol messages
+		; (async () => {
+			var failure
+			try {
+				for await (let message of socket.messages) {
+					const [type, id, ...data] = message
+					if (type === "mux:open") {
+						if (!channels.has(id)) openedChannels.receive([createChannel(id).facet])
+					}
+					else if (type === "mux:data") {
+						if (channels.has(id)) channels.get(id).receive(data)
+					}
+					else if (type === "mux:credit") {
+						if (channels.has(id)) channels.get(id).credit(data[0])
+					}
+					else if (type === "mux:close") {
+						if (channels.has(id)) channels.get(id).end()
+					}
+					else passthrough.receive(message)
+				}
+			}
+			catch (error) {
+				failure = error
+			}
+			// Ending every channel once the socket is gone
+			ended = true
+			for (const channel of [...channels.values()]) channel.end(failure)
+			if (failure) {
+				openedChannels.error(failure)
+				passthrough.error(failure)
+			}
+			else {
+				openedChannels.close()
+				passthrough.close()
+			}
+		})()
+		Object.freeze(this)
+	}
+	channels
+	messages
+	open(id) { }
+}
+Object.freeze(Multiplexer)
@@ -0,0 +1,183 @@
+import { Connection } from "./Connection.js"
+
+/**
+ * Creates a seeded pseudo random number generator (mulberry32), so simulations can be replayed
+ * @param {Number} seed
+ * @returns {Function} Returns numbers in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+	var state = seed >>> 0
+	return () => {
+		state = (state + 0x6D2B79F5) >>> 0
+		var t = state
+		t = Math.imul(t ^ (t >>> 15), t | 1)
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+	}
+}
+
+/**
+ * Network simulator: links that deliver messages the way real networks do, late, out of order, twice, or never, for testing how protocols cope with it.
+ * Everything runs on a virtual clock, that only moves forward when told to ("advance"), and every random decision is taken by a seeded generator,
+ * so a failing scenario plays out exactly the same way every time it runs with the same seed.
+ *
+ * Links are set up with (all of them optional):
+ * - latency: Time (in milliseconds) messages take to arrive (0 by default)
+ * - jitter: Maximum time (in milliseconds) added to, or taken from, the latency of each message (0 by default)
+ * - loss: Probability of a message being lost (0 by default)
+ * - duplication: Probability of a message arriving twice (0 by default)
+ * - reordering: Probability of a message being allowed to overtake the ones sent before it (0 by default, so messages arrive in order, whatever their jitter)
+ * - partitions: [start, end] time ranges (on the virtual clock, end being excluded) during which every message sent is lost
+ * Each direction of a link applies them on its own. Senders awaiting the delivery of a lost message are never notified, like on a real network (they need a timeout, or an abort signal).
+ */
+export class NetworkSimulator {
+	/**
+	 * @param {Object} options
+	 * @param {Number} options.seed Seed of the random number generator
+	 */
+	constructor({ seed = 1 } = {}) {
+		const random = createRandom(seed)
+		var time = 0
+		var lastTimerId = 0
+		const pendingTimers = new Map()
+		const stats = { sent: 0, delivered: 0, lost: 0, duplicated: 0 }
+
+		/**
+		 * Timer functions running on the virtual clock ("setTimeout", "clearTimeout" and "now"), which sockets (and resilient sockets) can use in place of the real ones
+		 */
+		this.timers = Object.freeze({
+			setTimeout: (callback, delay = 0) => {
+				pendingTimers.set(++lastTimerId, { callback, at: time + Math.max(0, delay) })
+				return lastTimerId
+			},
+			clearTimeout: (id) => { pendingTimers.delete(id) },
+			now: () => time
+		})
+
+		/**
+		 * Retrieves the virtual time (in milliseconds since the simulation started)
+		 * @returns {Number}
+		 */
+		this.now = () => time
+
+		/**
+		 * The simulation's random number generator (seeded, so scenarios can use it too, and still be replayed)
+		 * @returns {Number}
+		 */
+		this.random = random
+
+		/**
+		 * Moves the virtual clock forward, firing the timers (and so delivering the messages) that are due, in order
+		 * @param {Number} duration Time (in milliseconds) to move forward
+		 * @returns {Promise} Resolves once the clock has moved (and whatever the timers triggered has run)
+		 */
+		this.advance = async (duration = 0) => {
+			const end = time + duration
+			while (true) {
+				// Letting whatever awaits the timers fired so far run (and maybe send messages, or set new timers)
+				await new Promise((resolve) => setImmediate(resolve))
+				const [id, timer] = [...pendingTimers].filter(([, { at }]) => at <= end).sort(([, a], [, b]) => a.at - b.at)[0] || []
+				if (!timer) break
+				pendingTimers.delete(id)
+				time = timer.at
+				timer.callback()
+			}
+			time = end
+		}
+
+		/**
+		 * Reports what happened to the messages sent through the simulator's links so far
+		 * @returns {Object} { sent, delivered, lost, duplicated }
+		 */
+		this.stats = () => ({ ...stats })
+
+		/**
+		 * Creates one direction of a link
+		 * @param {Function} deliver Delivers a message (along with its delivery handler) at the other end
+		 * @param {Object} link Link settings (see NetworkSimulator)
+		 * @returns {Function} Transmits a message (along with its delivery handler)
+		 */
+		const createChannel = (deliver, { latency = 0, jitter = 0, loss = 0, duplication = 0, reordering = 0, partitions = [] } = {}) => {
+			// Arrival time of the last message delivered in order, that the next ones can not overtake
+			var lastArrival = 0
+			return (message, deliveryHandler) => {
+				stats.sent++
+				if (partitions.some(([start, end]) => time >= start && time < end) || random() < loss) {
+					stats.lost++
+					return
+				}
+				const copies = random() < duplication ? 2 : 1
+				if (copies > 1) stats.duplicated++
+				for (let copy = 0; copy < copies; copy++) {
+					let arrival = time + Math.max(0, latency + (random() * 2 - 1) * jitter)
+					if (random() >= reordering) arrival = lastArrival = Math.max(arrival, lastArrival)
+					// Only the first copy notifies the sender
+					const handler = copy === 0 ? deliveryHandler : undefined
+					this.timers.setTimeout(() => {
+						stats.delivered++
+						try { deliver(message, handler) } catch (error) { if (handler) handler.reject(error) }
+					}, arrival - time)
+				}
+			}
+		}
+
+		/**
+		 * Creates a pair of connections linked through a simulated link (like Connection.createPair)
+		 * @param {Object} link Link settings (see NetworkSimulator)
+		 * @param {Object} options Message buffer options (see Connection), applied to both connections
+		 * @returns [{Connection}, {Connection}]
+		 */
+		this.createPair = (link, options) => {
+			const connection1 = new Connection(createChannel((message, deliveryHandler) => connection2.receive(message, deliveryHandler), link), options)
+			const connection2 = new Connection(createChannel((message, deliveryHandler) => connection1.receive(message, deliveryHandler), link), options)
+			return [connection1, connection2]
+		}
+
+		/**
+		 * Creates a pair of ports (MessagePort alikes) linked through a simulated link, so sockets can be bridged over it (see Socket.bridge), e.g. "Socket.bridge(port, { timers: simulator.timers })"
+		 * Closing either port closes the other one too, once the link's latency has elapsed.
+		 * @param {Object} link Link settings (see NetworkSimulator)
+		 * @returns [{Object}, {Object}]
+		 */
+		this.createPortPair = (link) => {
+			// Listeners and status of each port
+			const states = [0, 1].map(() => ({ listeners: { message: [], close: [] }, closed: false }))
+			const emit = (state, type, data) => {
+				for (const listener of state.listeners[type]) listener(data)
+			}
+			const shut = (state) => {
+				if (state.closed) return
+				state.closed = true
+				emit(state, "close")
+			}
+			return states.map((state, index) => {
+				const other = states[1 - index]
+				// Messages in flight to a closed port are lost
+				const transmit = createChannel((message) => {
+					if (!other.closed) emit(other, "message", message)
+				}, link)
+				return Object.freeze({
+					postMessage: (message) => {
+						if (!state.closed) transmit(message)
+					},
+					on: (type, listener) => {
+						if (state.listeners[type]) state.listeners[type].push(listener)
+					},
+					close: () => {
+						shut(state)
+						this.timers.setTimeout(() => shut(other), (link && link.latency) || 0)
+					}
+				})
+			})
+		}
+		Object.freeze(this)
+	}
+	timers
+	now() { }
+	random() { }
+	advance(duration) { }
+	stats() { }
+	createPair(link, options) { }
+	createPortPair(link) { }
+}
+Object.freeze(NetworkSimulator)
@@ -0,0 +1,328 @@
+import { TimeoutError } from "./Errors.js"
+
+/**
+ * Operators over async iterables, like a connection's (or a socket's) "messages".
+ * Each operator returns a new async iterable, so they can be composed (e.g. "take(filter(socket.messages, isValid), 10)"), and iterated as many times as their sources can.
+ * The resulting iterations end when their sources end, and throw whatever their sources throw.
+ * Once a resulting iteration is over (including when its consumer breaks out of it), it lets go of its sources' iterations.
+ * Sources that can be iterated with an abort signal ("iterate({ signal })", like connections' and sockets' messages) have the pulls they are waiting on at the time (e.g. when racing a timer) cancelled,
+ * so the messages arriving afterwards stay with the source, for its next iteration. Other sources (like the iterables of other operators) can not cancel a pull once started, so the message it waits for is lost.
+ */
+
+// Value timers and notifiers resolve with, to tell them apart from the results of the sources they race against
+const elapsed = Symbol("elapsed")
+
+// Timer, as a promise that can be cancelled
+const sleep = (time) => {
+	var timer
+	const promise = new Promise((resolve) => timer = setTimeout(() => resolve(elapsed), time))
+	return { promise, cancel: () => clearTimeout(timer) }
+}
+
+/**
+ * Creates a puller of an iterable's results, able to race them against other promises without losing any:
+ * the promise of the next result is kept (and handed out again) until the result is consumed.
+ * @param {AsyncIterable} iterable
+ * @returns {Object}
+ */
+function createPuller(iterable) {
+	// Iterating with a signal when the source supports it, so a pull in flight can be cancelled on release, rather than taking a message no one would get
+	const controller = typeof iterable.iterate === "function" ? new AbortController() : null
+	const iterator = controller ? iterable.iterate({ signal: controller.signal }) : iterable[Symbol.asyncIterator]()
+	var pull = null
+	var finished = false
+	const puller = {
+		/**
+		 * Retrieves the promise of the next result: { puller, done, value }
+		 * @returns {Promise}
+		 */
+		next: () => pull || (pull = iterator.next().then(({ done, value }) => {
+			finished = done
+			return { puller, done, value }
+		})),
+		/**
+		 * Marks the result of the last pull as consumed
+		 */
+		consume: () => { pull = null },
+		/**
+		 * Ends the iteration (cancelling a pull in flight, if the source can)
+		 */
+		release: () => {
+			if (finished) return
+			if (controller) {
+				// The cancelled pull rejects, with no one left to care
+				if (pull) pull.catch(() => { })
+				controller.abort()
+			}
+			if (iterator.return) Promise.resolve(iterator.return()).catch(() => { })
+		}
+	}
+	return puller
+}
+
+/**
+ * Maps each message
+ * @param {AsyncIterable} iterable
+ * @param {Function} mapper (Async) function of the message, returning the message to yield in its place
+ * @returns {AsyncIterable}
+ */
+export const map = (iterable, mapper) => ({
+	[Symbol.asyncIterator]: async function* () {
+		for await (let message of iterable) yield await mapper(message)
+	}
+})
+
+/**
+ * Filters messages
+ * @param {AsyncIterable} iterable
+ * @param {Function} predicate (Async) function of the message, telling whether to yield it
+ * @returns {AsyncIterable}
+ */
+export const filter = (iterable, predicate) => ({
+	[Symbol.asyncIterator]: async function* () {
+		for await (let message of iterable) {
+			if (await predicate(message)) yield message
+		}
+	}
+})
+
+/**
+ * Takes the first messages
+ * @param {AsyncIterable} iterable
+ * @param {Number} count
+ * @returns {AsyncIterable}
+ */
+export const take = (iterable, count) => ({
+	[Symbol.asyncIterator]: async function* () {
+		if (count <= 0) return
+		var taken = 0
+		for await (let message of iterable) {
+			yield message
+			if (++taken >= count) return
+		}
+	}
+})
+
+/**
+ * Takes messages until notified
+ * @param {AsyncIterable} iterable
+ * @param {AbortSignal|Promise} notifier Signal (ending the iteration once aborted) or promise (ending it once settled)
+ * @returns {AsyncIterable}
+ */
+export const takeUntil = (iterable, notifier) => ({
+	[Symbol.asyncIterator]: async function* () {
+		const notified = typeof notifier.then === "function"
+			? Promise.resolve(notifier).then(() => elapsed, () => elapsed)
+			: new Promise((resolve) => notifier.aborted ? resolve(elapsed) : notifier.addEventListener("abort", () => resolve(elapsed), { once: true }))
+		const source = createPuller(iterable)
+		try {
+			while (true) {
+				// The notification goes first, so it wins over results that are already there
+				const result = await Promise.race([notified, source.next()])
+				if (result === elapsed || result.done) return
+				source.consume()
+				yield result.value
+			}
+		}
+		finally {
+			source.release()
+		}
+	}
+})
+
+/**
+ * Fails with a TimeoutError when the next message takes too long to arrive
+ * @param {AsyncIterable} iterable
+ * @param {Number} time Time (in milliseconds) to wait for each message
+ * @returns {AsyncIterable}
+ */
+export const timeout = (iterable, time) => ({
+	[Symbol.asyncIterator]: async function* () {
+		const source = createPuller(iterable)
+		try {
+			while (true) {
+				const timer = sleep(time)
+				const result = await Promise.race([source.next(), timer.promise]).finally(timer.cancel)
+				if (result === elapsed) throw new TimeoutError(`No message arrived within ${time}ms`)
+				if (result.done) return
+				source.consume()
+				yield result.value
+			}
+		}
+		finally {
+			source.release()
+		}
+	}
+})
+
+/**
+ * Yields a message only once no other message has arrived for a while (the last message is yielded when the source ends)
+ * @param {AsyncIterable} iterable
+ * @param {Number} time Quiet time (in milliseconds)
+ * @returns {AsyncIterable}
+ */
+export const debounce = (iterable, time) => ({
+	[Symbol.asyncIterator]: async function* () {
+		const source = createPuller(iterable)
+		// The last message received, waiting for the quiet time to elapse
+		var pending = null
+		try {
+			while (true) {
+				const timer = pending && sleep(time)
+				const result = await Promise.race(timer ? [source.next(), timer.promise] : [source.next()]).finally(() => timer && timer.cancel())
+				if (result === elapsed) {
+					yield pending.message
+					pending = null
+				}
+				else if (result.done) {
+					if (pending) yield pending.message
+					return
+				}
+				else {
+					source.consume()
+					pending = { message: result.value }
+				}
+			}
+		}
+		finally {
+			source.release()
+		}
+	}
+})
+
+/**
+ * Yields a message, and then drops the messages arriving for a while
+ * @param {AsyncIterable} iterable
+ * @param {Number} time Time (in milliseconds) messages are dropped for, after each message yielded
+ * @returns {AsyncIterable}
+ */
+export const throttle = (iterable, time) => ({
+	[Symbol.asyncIterator]: async function* () {
+		var openAt = -Infinity
+		for await (let message of iterable) {
+			if (Date.now() < openAt) continue
+			openAt = Date.now() + time
+			yield message
+		}
+	}
+})
+
+/**
+ * Gathers messages into arrays, yielded once they hold "count" messages, or once "time" has elapsed since their first message (whichever happens first).
+ * The messages gathered when the source ends are yielded too.
+ * @param {AsyncIterable} iterable
+ * @param {Object} options
+ * @param {Number} options.count Messages per array (unlimited by default)
+ * @param {Number} options.time Time (in milliseconds) messages are gathered for (unlimited by default)
+ * @returns {AsyncIterable}
+ */
+export const buffer = (iterable, { count = Infinity, time = Infinity } = {}) => ({
+	[Symbol.asyncIterator]: async function* () {
+		const source = createPuller(iterable)
+		var batch = []
+		// Timer started by the batch's first message
+		var timer = null
+		try {
+			while (true) {
+				const result = await Promise.race(timer ? [source.next(), timer.promise] : [source.next()])
+				if (result === elapsed) {
+					timer = null
+					yield batch.splice(0)
+				}
+				else if (result.done) {
+					if (batch.length > 0) yield batch.splice(0)
+					return
+				}
+				else {
+					source.consume()
+					batch.push(result.value)
+					if (batch.length === 1 && time < Infinity) timer = sleep(time)
+					if (batch.length >= count) {
+						if (timer) timer.cancel()
+						timer = null
+						yield batch.splice(0)
+					}
+				}
+			}
+		}
+		finally {
+			if (timer) timer.cancel()
+			source.release()
+		}
+	}
+})
+
+/**
+ * Merges the messages of several iterables, as they arrive (ending once all of them end, or failing as soon as one of them fails)
+ * @param {...AsyncIterable} iterables
+ * @returns {AsyncIterable}
+ */
+export const merge = (...iterables) => ({
+	[Symbol.asyncIterator]: async function* () {
+		const sources = iterables.map(createPuller)
+		var activeSources = sources
+		try {
+			while (activeSources.length > 0) {
+				const { puller, done, value } = await Promise.race(activeSources.map((source) => source.next()))
+				// Sources take turns, so a busy one can not starve the rest
+				activeSources = activeSources.filter((source) => source !== puller)
+				if (done) continue
+				activeSources.push(puller)
+				puller.consume()
+				yield value
+			}
+		}
+		finally {
+			for (const source of sources) source.release()
+		}
+	}
+})
+
+/**
+ * Pairs the messages of several iterables, yielding arrays with the first message of each, then the second one of each, and so on (ending once any of them ends)
+ * @param {...AsyncIterable} iterables
+ * @returns {AsyncIterable}
+ */
+export const zip = (...iterables) => ({
+	[Symbol.asyncIterator]: async function* () {
+		const sources = iterables.map(createPuller)
+		try {
+			while (true) {
+				const results = await Promise.all(sources.map((source) => source.next()))
+				if (results.some(({ done }) => done)) return
+				for (const source of sources) source.consume()
+				yield results.map(({ value }) => value)
+			}
+		}
+		finally {
+			for (const source of sources) source.release()
+		}
+	}
+})
+
+/**
+ * Follows whichever iterable yields (or ends) first, letting go of the others
+ * The pulls the others are waiting on are cancelled (see above), but a message they received along with the winner's first one is lost.
+ * @param {...AsyncIterable} iterables
+ * @returns {AsyncIterable}
+ */
+export const race = (...iterables) => ({
+	[Symbol.asyncIterator]: async function* () {
+		const sources = iterables.map(createPuller)
+		try {
+			const { puller: winner } = await Promise.race(sources.map((source) => source.next()))
+			for (const source of sources) {
+				if (source !== winner) source.release()
+			}
+			while (true) {
+				const { done, value } = await winner.next()
+				if (done) return
+				winner.consume()
+				yield value
+			}
+		}
+		finally {
+			for (const source of sources) source.release()
+		}
+	}
+})
@@ -0,0 +1,271 @@
+import { Connection } from "./Connection.js"
+import { ConnectionClosedError, PermissionError, RevokedError } from "./Errors.js"
+import { Rpc } from "./Rpc.js"
+
+// Objects that are copied (by the transport) rather than referenced, even though they are not plain objects
+const copiedClasses = [Date, RegExp, Map, Set, ArrayBuffer, Error]
+
+// Plain objects (and arrays) are copied, any other object (and any function) is referenced
+const isPlainObject = (value) => {
+	const prototype = Object.getPrototypeOf(value)
+	return prototype === Object.prototype || prototype === null
+}
+const isReferenced = (value) => typeof value === "function" || (typeof value === "object" && value !== null
+	&& !Array.isArray(value) && !isPlainObject(value) && !ArrayBuffer.isView(value) && !copiedClasses.some((Class) => value instanceof Class))
+
+// Properties paths can never go through, as they lead to prototypes and constructors (and from there, to the Function constructor, which runs any code) rather than to the exported objects' own members
+const forbiddenProperties = ["__proto__", "constructor", "prototype"]
+// Constructors that compile (or wrap) any code, and can never be reached
+const codeConstructors = [Function, Object, ...[async function () { }, function* () { }, async function* () { }].map((fn) => fn.constructor)]
+
+/**
+ * Complement reference protocol: sending references to local objects through a connection, so that the complement can use them remotely.
+ * Functions and objects (other than plain objects, arrays and data objects like dates) found in sent messages are exported as references,
+ * and the complement receives proxies in their place, whose property gets (awaiting "proxy.property") and method calls ("proxy.method(...args)") become remote operations, returning promises.
+ * Arguments and results of remote operations are handled the same way, so references can be passed around in both directions (and proxies sent back are received as the original objects).
+ *
+ * Exported objects are kept alive while the complement holds proxies to them:
+ * every time a reference is sent it is counted, and the complement reports how many it received once its proxy is garbage collected (or explicitly released).
+ * Exported objects can also be revoked at any time, and every export is dropped when the connection ends.
+ *
+ * Protocol operations run as remote calls (see Rpc), and sent messages travel as ["ref:message", ...encodedFrames].
+ * Encoded values are JSON compatible trees, where primitives are kept as they are and everything else is a [type, ...data] array:
+ * ["array", items], ["object", properties], ["value", value] (copied by the transport), ["ref", id] (exported by the sender) and ["local", id, path] (exported by the receiver).
+ */
+export class ReferenceProtocol {
+	/**
+	 * @param {Connection} connection Connection (or socket) to the complement
+	 * @param {Object} options Rpc options (see Rpc)
+	 */
+	constructor(connection, options) {
+		const rpc = new Rpc(connection, options)
+
+		// Exported objects by id, along with the number of times they were sent and not yet released
+		const exports = new Map()
+		// Ids of exported objects (so an object is always exported under the same id)
+		const exportIds = new Map()
+		var lastExportId = 0
+
+		// Proxies (held weakly, so they can be garbage collected) by id, and the number of times each reference was received
+		const imports = new Map()
+		const importCounts = new Map()
+		// Reference (id and path) of every proxy
+		const proxyReferences = new WeakMap()
+		// Proxies no longer usable (released, or the connection ended)
+		var ended = false
+		const releasedIds = new Set()
+
+		// Letting the complement know how many times a reference was received, once its proxy is gone
+		const releaseImport = (id) => {
+			const count = importCounts.get(id)
+			imports.delete(id)
+			importCounts.delete(id)
+			if (count && !ended) rpc.call("ref:release", id, count).catch(() => { })
+		}
+		const finalizationRegistry = new FinalizationRegistry((id) => {
+			// The proxy could have been replaced by a new one (if the reference was received again after being released)
+			if (!imports.has(id) || !imports.get(id).deref()) releaseImport(id)
+		})
+
+		/**
+		 * Encodes a value, exporting what needs to be referenced
+		 * @param {*} value
+		 * @returns {*}
+		 */
+		const encode = (value) => {
+			if (proxyReferences.has(value)) {
+				const { id, path } = proxyReferences.get(value)
+				return ["local", id, path]
+			}
+			if (isReferenced(value)) {
+				if (!exportIds.has(value)) {
+					const id = ++lastExportId
+					exportIds.set(value, id)
+					exports.set(id, { object: value, count: 0 })
+				}
+				const id = exportIds.get(value)
+				exports.get(id).count++
+				return ["ref", id]
+			}
+			if (Array.isArray(value)) return ["array", value.map(encode)]
+			if (typeof value === "object" && value !== null && isPlainObject(value)) {
+				return ["object", Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encode(item)]))]
+			}
+			if (typeof value === "object" && value !== null) return ["value", value]
+			return value
+		}
+
+		/**
+		 * Decodes a value, creating proxies for the references it contains
+		 * @param {*} data
+		 * @returns {*}
+		 */
+		const decode = (data) => {
+			if (!Array.isArray(data)) return data
+			const [type, ...content] = data
+			switch (type) {
+				case "array": return content[0].map(decode)
+				case "object": return Object.fromEntries(Object.entries(content[0]).map(([key, item]) => [key, decode(item)]))
+				case "value": return content[0]
+				case "local": return resolve(content[0], content[1])
+				case "ref": {
+					const id = content[0]
+					importCounts.set(id, (importCounts.get(id) || 0) + 1)
+					releasedIds.delete(id)
+					var proxy = imports.has(id) && imports.get(id).deref()
+					if (!proxy) {
+						proxy = createProxy(id)
+						imports.set(id, new WeakRef(proxy))
+						finalizationRegistry.register(proxy, id)
+					}
+					return proxy
+				}
+			}
+			throw new TypeError(`Unknown encoded value type: ${type}`)
+		}
+
+		/**
+		 * Gets a property of an exported object (or of one of its properties), on behalf of the complement
+		 * @param {*} object
+		 * @param {String} property
+		 * @returns {*}
+		 */
+		const getProperty = (object, property) => {
+			// Legacy accessors ("__defineGetter__" and alike) are as good as "__proto__"
+			if (typeof property !== "string" || forbiddenProperties.includes(property) || property.startsWith("__")) throw new PermissionError(`Property "${String(property)}" can not be reached`)
+			const value = object[property]
+			if (codeConstructors.includes(value)) throw new PermissionError(`Property "${property}" can not be reached`)
+			return value
+		}
+
+		/**
+		 * Resolves an exported object's (nested) property (the complement provides the path, so it can not go through prototypes and constructors)
+		 * @param {Number} id
+		 * @param {Array} path Property names
+		 * @returns {*}
+		 */
+		const resolve = (id, path) => {
+			if (!exports.has(id)) throw new RevokedError(`Reference ${id} has been revoked`)
+			return path.reduce(getProperty, exports.get(id).object)
+		}
+
+		/**
+		 * Performs a remote operation on a reference
+		 * @param {String} operation "get" or "apply"
+		 * @param {Number} id
+		 * @param {Array} path
+		 * @param {Array} args
+		 * @returns {Promise}
+		 */
+		const remote = async (operation, id, path, args = []) => {
+			if (ended) throw new ConnectionClosedError("Connection is closed")
+			if (releasedIds.has(id)) throw new RevokedError(`Reference ${id} has been released`)
+			return decode(await rpc.call(`ref:${operation}`, id, path, encode(args)))
+		}
+
+		/**
+		 * Creates the proxy of a remote object's (nested) property
+		 * @param {Number} id
+		 * @param {Array} path Property names
+		 * @param {Function} root The root proxy, kept alive (and so the remote object) while there are proxies to its properties
+		 * @returns {Proxy}
+		 */
+		const createProxy = (id, path = [], root) => {
+			// Proxying a function, so proxies can be called
+			const target = function () { }
+			target.root = root
+			const proxy = new Proxy(target, {
+				get: (target, property) => {
+					// Awaiting a property proxy gets the property's value. Proxies of the objects themselves are not thenable, so they can be resolved (e.g. returned from async functions)
+					if (property === "then") {
+						return path.length > 0 ? (onResolve, onReject) => remote("get", id, path).then(onResolve, onReject) : undefined
+					}
+					if (typeof property === "symbol") return undefined
+					return createProxy(id, [...path, property], root || proxy)
+				},
+				apply: (target, thisArgument, args) => remote("apply", id, path, args)
+			})
+			proxyReferences.set(proxy, { id, path })
+			return proxy
+		}
+
+		rpc.expose({
+			"ref:get": (id, path) => Promise.resolve(resolve(id, path)).then(encode),
+			"ref:apply": async (id, path, args) => {
+				const decodedArgs = decode(args)
+				if (path.length === 0) return encode(await resolve(id, [])(...decodedArgs))
+				const object = resolve(id, path.slice(0, -1))
+				return encode(await Reflect.apply(getProperty(object, path[path.length - 1]), object, decodedArgs))
+			},
+			"ref:release": (id, count) => {
+				const exported = exports.get(id)
+				if (exported && (exported.count -= count) <= 0) {
+					exports.delete(id)
+					exportIds.delete(exported.object)
+				}
+			}
+		})
+
+		/**
+		 * Sends a message, exporting the references it contains
+		 * @param {...any} message
+		 */
+		this.send = (...message) => connection.send("ref:message", ...message.map(encode))
+
+		/**
+		 * Revokes an exported object: the complement's proxies to it stop working (their operations reject with a RevokedError)
+		 * @param {*} object
+		 */
+		this.revoke = (object) => {
+			if (!exportIds.has(object)) return
+			exports.delete(exportIds.get(object))
+			exportIds.delete(object)
+		}
+
+		/**
+		 * Releases a proxy (and every proxy of its properties) without waiting for it to be garbage collected, letting the complement drop the object if no other proxy to it remains
+		 * @param {Proxy} proxy
+		 */
+		this.release = (proxy) => {
+			if (!proxyReferences.has(proxy)) return
+			const { id } = proxyReferences.get(proxy)
+			releasedIds.add(id)
+			releaseImport(id)
+		}
+
+		/**
+		 * Reports how many objects are exported to the complement
+		 * @returns {Number}
+		 */
+		this.exportedCount = () => exports.size
+
+		// Connection through which decoded messages are relayed
+		const decodedMessages = new Connection
+		this.messages = decodedMessages.messages
+
+		; (async () => {
+			try {
+				for await (let [type, ...message] of rpc.messages) {
+					if (type === "ref:message") decodedMessages.receive(message.map(decode))
+				}
+				decodedMessages.close()
+			}
+			catch (error) {
+				decodedMessages.error(error)
+			}
+			// Dropping every export (and giving up every import) once the connection has ended
+			ended = true
+			exports.clear()
+			exportIds.clear()
+			imports.clear()
+			importCounts.clear()
+		})()
+		Object.freeze(this)
+	}
+	messages
+	send(...message) { }
+	revoke(object) { }
+	release(proxy) { }
+	exportedCount() { }
+}
+Object.freeze(ReferenceProtocol)
@@ -0,0 +1,309 @@
+import { Connection } from "./Connection.js"
+import { ConnectionClosedError, PermissionError, RevokedError } from "./Errors.js"
+import { Rpc } from "./Rpc.js"
+
+// Traps the complement can perform on an exported target, and whether they are allowed by default (reading and calling are, changing and constructing are not)
+const defaultPolicy = Object.freeze({ get: true, has: true, ownKeys: true, apply: true, set: false, deleteProperty: false, construct: false })
+
+// Properties paths can never go through, as they lead to the prototypes (and the Function constructor) rather than to the target's own objects (like ReferenceProtocol's)
+const forbiddenProperties = ["__proto__", "constructor", "prototype"]
+// Constructors that compile (or wrap) any code, and can never be reached
+const codeConstructors = [Function, Object, ...[async function () { }, function* () { }, async function* () { }].map((fn) => fn.constructor)]
+
+/**
+ * Remote object protocol: the "this" of the complement as a local proxy, where every operation on the proxy is forwarded to the complement's target object through the connection (step 2 of the roadmap).
+ * Each end may export a target, and gets a proxy of the complement's one ("proxy"):
+ * - Property gets return proxies of the properties, which get the properties' values when awaited ("await proxy.settings.step").
+ * - Calls ("proxy.method(...args)") and constructions ("new proxy.Class(...args)") return promises. Constructed objects stay on the complement's end, and are received as proxies of their own (until released).
+ * - Iterables are iterated remotely, both as properties ("for await (let item of proxy.items)") and as call results ("for await (let item of proxy.generate())").
+ *   Call results are only kept remote when they are async iterables or generators (until iterated to the end, or the connection ends), other results (like arrays, maps or typed arrays) are copied, and iterated locally.
+ * - Assignments ("proxy.property = value") and deletions ("delete proxy.property") are sent without waiting for their outcome, while "in" and "Object.keys" can not wait at all, so they throw.
+ *   The "reflect" object performs every operation (get, set, has, deleteProperty, ownKeys, apply and construct) asynchronously instead, like Reflect would locally.
+ * Arguments, assigned values and results are copied (by the transport), so references to objects are only kept by constructed objects and iterators (see ReferenceProtocol for passing references around).
+ *
+ * The exporting end decides what the complement may do to its target, with a policy per trap: either a boolean or an (async) function of the property path (and the operation's operands) returning a boolean.
+ * Operations the policy does not allow reject with a RemoteError named "PermissionError", and so do the ones going through prototypes, constructors (or code constructors, like Function) and "__" prefixed properties, whatever the policy.
+ * Operations run as remote calls (see Rpc) of the "this:*" methods, addressing objects as [id, path], where the id is 0 for the target, and path the property names leading from the object to the operated property.
+ */
+export class RemoteObjectProtocol {
+	/**
+	 * @param {Connection} connection Connection (or socket) to the complement
+	 * @param {Object} options
+	 * @param {Object} options.target Object exported to the complement (none by default)
+	 * @param {Object} options.policy Policy of each trap: "get", "set", "has", "deleteProperty", "ownKeys", "apply" and "construct" (see defaultPolicy)
+	 * @param {Number} options.timeout Rpc timeout (see Rpc)
+	 */
+	constructor(connection, { target, policy = {}, timeout } = {}) {
+		const rpc = new Rpc(connection, { timeout })
+		policy = { ...defaultPolicy, ...policy }
+
+		// Exported objects (the target, and the objects constructed by the complement), and the complement's iterations, by id
+		const objects = new Map()
+		if (target !== undefined) objects.set(0, target)
+		var lastObjectId = 0
+		const iterators = new Map()
+		var lastIteratorId = 0
+		var ended = false
+
+		// Reference (id and path) of every proxy
+		const proxyReferences = new WeakMap()
+
+		/**
+		 * Resolves an exported object's (nested) property, once the policy allows the trap on it
+		 * @param {String} trap
+		 * @param {Number} id
+		 * @param {Array} path
+		 * @param {...any} operands
+		 * @returns {Promise<*>}
+		 */
+		const authorize = async (trap, id, path, ...operands) => {
+			if (!objects.has(id)) throw new RevokedError(`Object ${id} has been released`)
+			const rule = policy[trap]
+			// Legacy accessors ("__defineGetter__" and alike) are as good as "__proto__", and would let allowed calls do what the policy does not allow
+			const forbidden = (property) => typeof property !== "string" || forbiddenProperties.includes(property) || property.startsWith("__")
+			if (path.some(forbidden) || !(typeof rule === "function" ? await rule(path, ...operands) : rule)) {
+				throw new PermissionError(`"${trap}" is not allowed on "${path.join(".")}"`)
+			}
+		}
+		const getProperty = (object, property) => {
+			const value = object[property]
+			if (codeConstructors.includes(value)) throw new PermissionError(`Property "${property}" can not be reached`)
+			return value
+		}
+		const resolve = (id, path) => path.reduce(getProperty, objects.get(id))
+
+		// Encoding results: async iterables and generators are iterated remotely (any iterable, when the iteration is what is asked for), and the rest is copied (including arrays, maps and typed arrays, which can be iterated once received)
+		const encode = (value, iterate = false) => {
+			const iterable = value !== null && typeof value === "object" && (value[Symbol.asyncIterator] || Object.prototype.toString.call(value) === "[object Generator]" || (iterate && value[Symbol.iterator]))
+			if (iterable) {
+				const iterator = value[Symbol.asyncIterator] ? value[Symbol.asyncIterator]() : value[Symbol.iterator]()
+				iterators.set(++lastIteratorId, iterator)
+				return ["iterator", lastIteratorId]
+			}
+			return ["value", value]
+		}
+
+		rpc.expose({
+			"this:get": async (id, path) => {
+				await authorize("get", id, path)
+				return ["value", await resolve(id, path)]
+			},
+			"this:set": async (id, path, value) => {
+				await authorize("set", id, path, value)
+				return Reflect.set(resolve(id, path.slice(0, -1)), path[path.length - 1], value)
+			},
+			"this:has": async (id, path) => {
+				await authorize("has", id, path)
+				return Reflect.has(resolve(id, path.slice(0, -1)), path[path.length - 1])
+			},
+			"this:deleteProperty": async (id, path) => {
+				await authorize("deleteProperty", id, path)
+				return Reflect.deleteProperty(resolve(id, path.slice(0, -1)), path[path.length - 1])
+			},
+			"this:ownKeys": async (id, path) => {
+				await authorize("ownKeys", id, path)
+				return Reflect.ownKeys(resolve(id, path)).filter((key) => typeof key === "string")
+			},
+			"this:apply": async (id, path, args) => {
+				await authorize("apply", id, path, args)
+				if (path.length === 0) return encode(await resolve(id, [])(...args))
+				const object = resolve(id, path.slice(0, -1))
+				return encode(await Reflect.apply(getProperty(object, path[path.length - 1]), object, args))
+			},
+			"this:construct": async (id, path, args) => {
+				await authorize("construct", id, path, args)
+				objects.set(++lastObjectId, new (resolve(id, path))(...args))
+				return ["object", lastObjectId]
+			},
+			// Iterating an iterable property (which is reading it)
+			"this:iterate": async (id, path) => {
+				await authorize("get", id, path)
+				return encode(await resolve(id, path), true)
+			},
+			"this:next": async (id) => {
+				if (!iterators.has(id)) throw new RevokedError(`Iteration ${id} is over`)
+				const { done, value } = await iterators.get(id).next()
+				if (done) iterators.delete(id)
+				return { done, value }
+			},
+			"this:return": async (id) => {
+				const iterator = iterators.get(id)
+				iterators.delete(id)
+				if (iterator && iterator.return) await iterator.return()
+			},
+			"this:release": (id) => {
+				if (id !== 0) objects.delete(id)
+			}
+		})
+
+		const remote = (method, ...args) => {
+			if (ended) return Promise.reject(new ConnectionClosedError("Connection is closed"))
+			return rpc.call(method, ...args)
+		}
+
+		/**
+		 * Creates the async iterable of a remote iteration
+		 * @param {Function} start Function starting the iteration, returning the promise of the encoded iterable (see encode)
+		 * @returns {AsyncIterable}
+		 */
+		const createIterable = (start) => ({
+			[Symbol.asyncIterator]: () => {
+				var iteratorId = null
+				// Iterator of a result that was copied rather than kept remote
+				var localIterator = null
+				return {
+					next: async () => {
+						if (iteratorId === null && !localIterator) {
+							const [type, value] = await start()
+							if (type === "iterator") iteratorId = value
+							else if (value !== null && value !== undefined && typeof value[Symbol.iterator] === "function") localIterator = value[Symbol.iterator]()
+							else throw new TypeError("Remote object is not iterable")
+						}
+						return localIterator ? localIterator.next() : remote("this:next", iteratorId)
+					},
+					return: async () => {
+						if (iteratorId !== null) await remote("this:return", iteratorId)
+						return { done: true }
+					}
+				}
+			}
+		})
+
+		// Decoding results (see encode)
+		const decode = ([type, value]) => {
+			if (type === "iterator") return createIterable(async () => [type, value])
+			if (type === "object") return createProxy(value)
+			return value
+		}
+
+		/**
+		 * Creates the proxy of a remote object's (nested) property
+		 * @param {Number} id
+		 * @param {Array} path
+		 * @returns {Proxy}
+		 */
+		const createProxy = (id, path = []) => {
+			// Proxying a bound function, so proxies can be called and constructed, and have no own properties they should report
+			const proxy = new Proxy(function () { }.bind(), {
+				get: (target, property) => {
+					// Awaiting a property proxy gets the property's value. Proxies of the objects themselves are not thenable, so they can be resolved (e.g. returned from async functions)
+					if (property === "then") {
+						return path.length > 0 ? (onResolve, onReject) => remote("this:get", id, path).then(decode).then(onResolve, onReject) : undefined
+					}
+					if (property === Symbol.asyncIterator) return createIterable(() => remote("this:iterate", id, path))[Symbol.asyncIterator]
+					if (typeof property === "symbol") return undefined
+					return createProxy(id, [...path, property])
+				},
+				set: (target, property, value) => {
+					reflect.set(proxy, property, value).catch(() => { })
+					return true
+				},
+				deleteProperty: (target, property) => {
+					reflect.deleteProperty(proxy, property).catch(() => { })
+					return true
+				},
+				has: () => {
+					throw new TypeError("Remote properties can not be checked synchronously, use \"reflect.has\" instead")
+				},
+				ownKeys: () => {
+					throw new TypeError("Remote keys can not be listed synchronously, use \"reflect.ownKeys\" instead")
+				},
+				// Call results can be awaited, or iterated (if the result is iterable)
+				apply: (target, thisArgument, args) => {
+					const result = remote("this:apply", id, path, args)
+					const promise = result.then(decode)
+					// Results that are only iterated are not awaited, and neither are their failures
+					promise.catch(() => { })
+					return Object.assign(promise, createIterable(() => result))
+				},
+				construct: (target, args) => reflect.construct(proxy, args)
+			})
+			proxyReferences.set(proxy, { id, path })
+			return proxy
+		}
+
+		// Retrieves the reference of a proxy
+		const referenceOf = (proxy) => {
+			if (!proxyReferences.has(proxy)) throw new TypeError("Not a remote object proxy")
+			return proxyReferences.get(proxy)
+		}
+
+		/**
+		 * The complement's target
+		 */
+		this.proxy = createProxy(0)
+
+		/**
+		 * Asynchronous counterparts of the proxy traps (named and shaped after Reflect's methods), returning promises
+		 */
+		const reflect = this.reflect = Object.freeze({
+			get: async (proxy, property) => {
+				const { id, path } = referenceOf(proxy)
+				return decode(await remote("this:get", id, [...path, property]))
+			},
+			set: async (proxy, property, value) => {
+				const { id, path } = referenceOf(proxy)
+				return remote("this:set", id, [...path, property], value)
+			},
+			has: async (proxy, property) => {
+				const { id, path } = referenceOf(proxy)
+				return remote("this:has", id, [...path, property])
+			},
+			deleteProperty: async (proxy, property) => {
+				const { id, path } = referenceOf(proxy)
+				return remote("this:deleteProperty", id, [...path, property])
+			},
+			ownKeys: async (proxy) => {
+				const { id, path } = referenceOf(proxy)
+				return remote("this:ownKeys", id, path)
+			},
+			apply: async (proxy, args) => {
+				const { id, path } = referenceOf(proxy)
+				return decode(await remote("this:apply", id, path, args))
+			},
+			construct: async (proxy, args) => {
+				const { id, path } = referenceOf(proxy)
+				return decode(await remote("this:construct", id, path, args))
+			}
+		})
+
+		/**
+		 * Releases an object constructed remotely, letting the complement drop it (its proxies stop working)
+		 * @param {Proxy} proxy
+		 */
+		this.release = (proxy) => {
+			const { id } = referenceOf(proxy)
+			if (id !== 0) remote("this:release", id).catch(() => { })
+		}
+
+		// Connection through which messages that are not part of the protocol are relayed
+		const passthrough = new Connection
+		/**
+		 * Messages that are not part of the protocol
+		 */
+		this.messages = passthrough.messages
+
+		; (async () => {
+			try {
+				for await (let message of rpc.messages) passthrough.receive(message)
+				passthrough.close()
+			}
+			catch (error) {
+				passthrough.error(error)
+			}
+			// Dropping every exported object (and iteration) once the connection has ended
+			ended = true
+			objects.clear()
+			for (const iterator of iterators.values()) {
+				if (iterator.return) Promise.resolve(iterator.return()).catch(() => { })
+			}
+			iterators.clear()
+		})()
+		Object.freeze(this)
+	}
+	proxy
+	reflect
+	messages
+	release(proxy) { }
+}
+Object.freeze(RemoteObjectProtocol)
@@ -0,0 +1,186 @@
+import { Connection } from "./Connection.js"
+import { ConnectError, ConnectionClosedError } from "./Errors.js"
+
+/**
+ * Resilient socket: a session that outlives the sockets (transports) carrying it, like bridged web sockets or TCP streams that may drop at any time.
+ * Outgoing messages are numbered, and kept in a replay buffer until the complement acknowledges them.
+ * Every time a new transport is attached, both ends tell each other the number of the last message they received, and replay the ones after it.
+ * So consumers see one continuous "messages" stream, with no duplicates and no gaps, regardless of how many times the transport is replaced.
+ *
+ * The dialing end provides a factory of connected sockets, and reconnects through it (with exponential backoff and jitter) whenever the transport drops.
+ * The accepting end attaches the sockets it accepts (e.g. from a MultiSocket or a server) to the session instead.
+ *
+ * The session runs over the transport's framed messages:
+ * - ["resume", lastReceivedNumber]
+ * - ["data", number, ...message]
+ * - ["ack", number]
+ * - ["close"]
+ */
+export class ResilientSocket {
+	/**
+	 * @param {Object} options
+	 * @param {Function} options.connect Factory of connected sockets, returning a promise (only for the dialing end)
+	 * @param {Object} options.backoff Reconnection delays: "initial" delay, "factor" each failed attempt multiplies it by, "max" delay, and "jitter" (the random fraction of the delay that may be shaved off)
+	 * @param {Number} options.retries Failed reconnection attempts in a row before giving up (unlimited by default)
+	 * @param {Object} options.timers Timer functions ("setTimeout" and "clearTimeout"), replaceable for testing
+	 * @param {Function} options.random Random number generator, replaceable for testing
+	 */
+	constructor({ connect, backoff: { initial = 100, factor = 2, max = 10000, jitter = 0.5 } = {}, retries = Infinity, timers = globalThis, random = Math.random } = {}) {
+		// Messages sent and not yet acknowledged, in order
+		const replayBuffer = []
+		var lastSentNumber = 0
+		var lastReceivedNumber = 0
+		// Current transport, and whether the complement already resumed the session through it (so new messages can be sent right away)
+		var transport = null
+		var resumed = false
+		var closed = false
+		var failedAttempts = 0
+		var reconnectTimer = null
+
+		// Connection through which received messages are relayed (across transports)
+		const received = new Connection
+
+		// Sending through the current transport (if any). Messages that fail to be sent are still in the replay buffer.
+		const transmit = (...frames) => {
+			try {
+				if (transport) transport.send(...frames)
+			}
+			catch { }
+		}
+
+		// Sending a data message, which was taken across the boundary once and for all when it was first sent (see Connection.transferable)
+		const transmitData = (number, message) => Connection.transferred(message, () => transmit("data", number, ...message))
+
+		// Closing the session for good
+		const end = (error) => {
+			closed = true
+			timers.clearTimeout(reconnectTimer)
+			if (transport) transport.disconnect()
+			replayBuffer.length = 0
+			if (error) received.error(error)
+			else received.close()
+		}
+
+		const scheduleReconnect = () => {
+			if (closed || !connect) return
+			if (failedAttempts > retries) return end(new ConnectError(`Gave up reconnecting after ${retries} failed attempts`))
+			const delay = Math.min(max, initial * factor ** failedAttempts) * (1 - jitter * random())
+			reconnectTimer = timers.setTimeout(async () => {
+				try {
+					attach(await connect())
+				}
+				catch {
+					failedAttempts++
+					scheduleReconnect()
+				}
+			}, delay)
+		}
+
+		/**
+		 * Attaches a connected socket as the session's transport (replacing the current one, if any), and resumes the session through it
+		 * @param {Socket} socket
+		 */
+		const attach = (socket) => {
+			if (closed) return socket.disconnect()
+			if (transport) transport.disconnect()
+			transport = socket
+			resumed = false
+			transmit("resume", lastReceivedNumber)
+			; (async () => {
+				try {
+					for await (let [type, number, ...message] of socket.messages) {
+						if (type === "data") {
+							// Messages already received (replayed before the acknowledgement arrived) are ignored, but acknowledged again
+							if (number === lastReceivedNumber + 1) {
+								lastReceivedNumber = number
+								received.receive(message)
+							}
+							if (number <= lastReceivedNumber) transmit("ack", lastReceivedNumber)
+						}
+						else if (type === "ack") {
+							while (replayBuffer.length > 0 && replayBuffer[0].number <= number) replayBuffer.shift()
+						}
+						else if (type === "resume") {
+							while (replayBuffer.length > 0 && replayBuffer[0].number <= number) replayBuffer.shift()
+							for (const { number, message } of replayBuffer) transmitData(number, message)
+							resumed = true
+							failedAttempts = 0
+						}
+						else if (type === "close") {
+							end()
+						}
+					}
+				}
+				catch { }
+				// The transport is gone, so a new one is needed (unless it was replaced already)
+				if (transport === socket) {
+					transport = null
+					resumed = false
+					scheduleReconnect()
+				}
+			})()
+		}
+
+		/**
+		 * Attaches a connected socket as the session's transport (for the accepting end)
+		 * @param {Socket} socket
+		 */
+		this.attach = attach
+
+		/**
+		 * Sends a message, that will reach the complement even if the transport drops (as long as the session is not closed)
+		 * @param {...any} message
+		 */
+		this.send = (...message) => {
+			if (closed) throw new ConnectionClosedError("Resilient socket is closed")
+			// Messages holding objects that can not cross the boundary are never numbered
+			Connection.transfer(message)
+			const number = ++lastSentNumber
+			replayBuffer.push({ number, message })
+			// Until the complement resumes the session, messages wait to be replayed along with the rest
+			if (resumed) transmitData(number, message)
+		}
+
+		/**
+		 * Received messages, across every transport
+		 */
+		this.messages = received.messages
+
+		/**
+		 * Checks whether the session currently has a transport through which it has been resumed
+		 * @returns {Boolean}
+		 */
+		this.isConnected = () => resumed
+
+		/**
+		 * Reports how many sent messages are not yet acknowledged by the complement
+		 * @returns {Number}
+		 */
+		this.pendingCount = () => replayBuffer.length
+
+		/**
+		 * Closes the session on both ends (messages not yet acknowledged may never arrive)
+		 */
+		this.close = () => {
+			if (closed) return
+			transmit("close")
+			end()
+		}
+
+		// The dialing end connects right away
+		if (connect) {
+			connect().then(attach, () => {
+				failedAttempts++
+				scheduleReconnect()
+			})
+		}
+		Object.freeze(this)
+	}
+	messages
+	attach(socket) { }
+	send(...message) { }
+	isConnected() { }
+	pendingCount() { }
+	close() { }
+}
+Object.freeze(ResilientSocket)
@@ -0,0 +1,161 @@
+import { Connection } from "./Connection.js"
+import { ConnectionClosedError, RemoteError, TimeoutError } from "./Errors.js"
+
+/**
+ * Request/response (remote procedure call) protocol over a connection (or a socket, or anything with "send" and "messages").
+ * Both ends may expose methods and call the other end's ones, with any number of calls in flight at the same time.
+ * Calls are multiplexed over the connection's framed messages:
+ * - ["rpc:call", id, method, ...args]
+ * - ["rpc:return", id, value]
+ * - ["rpc:throw", id, { name, message, stack }]
+ * - ["rpc:cancel", id]
+ * Any other message is left for others to receive, through the rpc's own "messages" iterable.
+ */
+export class Rpc {
+	/**
+	 * Starts serving (and being able to make) calls through the connection provided.
+	 * The rpc becomes the connection's receiver, for as long as the connection's "messages" iteration lasts.
+	 * @param {Connection} connection
+	 * @param {Object} options
+	 * @param {Number} options.timeout Default time (in milliseconds) calls wait for their result before rejecting with a TimeoutError (unlimited by default)
+	 */
+	constructor(connection, { timeout = Infinity } = {}) {
+		// Calls waiting for their result, by id
+		const pendingCalls = new Map()
+		var lastCallId = 0
+		// Calls from the complement being handled, by id (so they can be cancelled)
+		const servedCalls = new Map()
+		// Exposed methods, by name
+		const methods = new Map()
+		// Error every call rejects with, once the connection is gone
+		var failure = null
+
+		// Connection through which messages that are not part of the protocol are relayed
+		const passthrough = new Connection
+
+		/**
+		 * Exposes methods to the complement, to be called by name. Each method is called with the exposing object as "this".
+		 * Exposing a method with the name of an exposed one replaces it.
+		 * @param {Object} handlers Object whose own function properties are exposed
+		 * @returns {Rpc}
+		 */
+		this.expose = (handlers) => {
+			for (const [name, handler] of Object.entries(handlers)) {
+				if (typeof handler === "function") methods.set(name, (...args) => handler.apply(handlers, args))
+			}
+			return this
+		}
+
+		/**
+		 * Calls a method exposed by the complement
+		 * @param {Object} options
+		 * @param {Number} options.timeout Time to wait for the result (the rpc's default if not provided)
+		 * @param {AbortSignal} options.signal Signal that cancels the call, rejecting it with the signal's reason
+		 * @param {String} method
+		 * @param {...any} args
+		 * @returns {Promise} Resolves with the method's result, or rejects with a RemoteError if the method throws
+		 */
+		this.callWith = ({ timeout: callTimeout = timeout, signal } = {}, method, ...args) => new Promise((resolve, reject) => {
+			if (failure) throw failure
+			if (signal) signal.throwIfAborted()
+			const id = ++lastCallId
+			// Letting the complement know the result is no longer awaited
+			const cancel = () => {
+				try { connection.send("rpc:cancel", id) } catch { }
+			}
+			const onTimeout = () => {
+				cancel()
+				call.reject(new TimeoutError(`Call to "${method}" timed out after ${callTimeout}ms`))
+			}
+			const onAbort = () => {
+				cancel()
+				call.reject(signal.reason)
+			}
+			const timer = callTimeout < Infinity ? setTimeout(onTimeout, callTimeout) : null
+			if (signal) signal.addEventListener("abort", onAbort)
+			// Cleaning up, whichever way the call settles
+			const settle = (callback) => (value) => {
+				clearTimeout(timer)
+				if (signal) signal.removeEventListener("abort", onAbort)
+				pendingCalls.delete(id)
+				callback(value)
+			}
+			const call = { resolve: settle(resolve), reject: settle(reject) }
+			pendingCalls.set(id, call)
+			try {
+				connection.send("rpc:call", id, method, ...args)
+			}
+			catch (error) {
+				call.reject(error)
+			}
+		})
+
+		/**
+		 * Calls a method exposed by the complement (with the default options)
+		 * @param {String} method
+		 * @param {...any} args
+		 * @returns {Promise}
+		 */
+		this.call = (method, ...args) => this.callWith({}, method, ...args)
+
+		// Serving a call from the complement, and sending back its result (unless it gets cancelled first)
+		const serve = async (id, method, args) => {
+			servedCalls.set(id, method)
+			var response
+			try {
+				if (!methods.has(method)) throw new Error(`Unknown method: "${method}"`)
+				response = ["rpc:return", id, await methods.get(method)(...args)]
+			}
+			catch (error) {
+				// Non-error values can be thrown too
+				response = ["rpc:throw", id, error instanceof Error ? { name: error.name, message: error.message, stack: error.stack } : { message: String(error) }]
+			}
+			if (!servedCalls.delete(id)) return
+			try {
+				connection.send(...response)
+			}
+			catch (error) {
+				// The result could not be sent (e.g. it could not be encoded), so the caller gets the reason instead
+				try { connection.send("rpc:throw", id, { name: error.name, message: error.message }) } catch { }
+			}
+		}
+
+		// Failing every pending call once the connection is gone
+		const end = (error) => {
+			failure = error
+			for (const call of pendingCalls.values()) call.reject(error)
+			servedCalls.clear()
+		}
+
+		/**
+		 * Messages that are not part of the protocol
+		 */
+		this.messages = passthrough.messages
+
+		// Receiving the protocol messages
+		; (async () => {
+			try {
+				for await (let message of connection.messages) {
+					const [type, id, ...data] = message
+					if (type === "rpc:call") serve(id, data[0], data.slice(1))
+					else if (type === "rpc:return" && pendingCalls.has(id)) pendingCalls.get(id).resolve(data[0])
+					else if (type === "rpc:throw" && pendingCalls.has(id)) pendingCalls.get(id).reject(new RemoteError(data[0].message, data[0]))
+					else if (type === "rpc:cancel") servedCalls.delete(id)
+					else if (!["rpc:return", "rpc:throw"].includes(type)) passthrough.receive(message)
+				}
+				end(new ConnectionClosedError("Connection is closed"))
+				passthrough.close()
+			}
+			catch (error) {
+				end(error)
+				passthrough.error(error)
+			}
+		})()
+		Object.freeze(this)
+	}
+	messages
+	expose(handlers) { }
+	call(method, ...args) { }
+	callWith(options, method, ...args) { }
+}
+Object.freeze(Rpc)
@@ -0,0 +1,215 @@
+import { Connection } from "./Connection.js"
+
+/**
+ * Orders two entry stamps: by Lamport clock, and then by replica id, so every replica picks the same winner out of concurrent writes
+ * @param {Object} stamp
+ * @param {Object} otherStamp
+ * @returns {Number} Positive if the first stamp is the latest one
+ */
+const compareStamps = (stamp, otherStamp) => stamp.clock - otherStamp.clock || (stamp.replica > otherStamp.replica ? 1 : stamp.replica < otherStamp.replica ? -1 : 0)
+
+/**
+ * Shared map: a map replicated among several peers (the shared objects of steps 4 and 5 of the roadmap), each one holding a replica it can read and write locally, at any time.
+ * Replicas exchange their writes through the sockets (or connections, or ring members, see Connection.createCycle) they are attached to, and converge to the same content once they have seen the same writes, in whatever order.
+ * Each key is a last-writer-wins register (a CRDT): writes (and deletions, which are kept as tombstones) are stamped with a Lamport clock and the writer's replica id, and the latest stamp wins.
+ * Concurrent writes (that did not see each other) are ordered by replica id, so every replica picks the same winner.
+ *
+ * Attaching a replica to a peer syncs them: each one sends its version vector (the latest clock seen from each replica), and gets back the entries it has not seen (a full snapshot for a newcomer, a delta otherwise).
+ * Afterwards, writes are sent as they happen, and replicas forward the entries that changed their content to their other peers, so replicas linked in any topology (trees, meshes, rings) converge.
+ * Replicas talk through framed messages:
+ * - ["shared:sync", versionVector]
+ * - ["shared:merge", entries] (each entry being [key, value, clock, replica, deleted])
+ * Keys and values must survive the peers' transports (e.g. string keys and JSON values for bridges using the JSON codec).
+ */
+export class SharedMap {
+	/**
+	 * @param {Object} options
+	 * @param {String} options.id Replica id, unique among the replicas (random by default)
+	 */
+	constructor({ id = Math.random().toString(36).slice(2) } = {}) {
+		// Entries by key: { value, clock, replica, deleted }
+		const entries = new Map()
+		// Latest clock seen from each replica
+		const versionVector = new Map()
+		var clock = 0
+		// Peers' senders, by attachment
+		const peers = new Set()
+
+		// Keeping the change events, chained with the promise of the next one (like the socket's states), so each "changes" iteration can follow them at its own pace
+		var nextChangeHandler
+		var nextChangePromise = new Promise((resolve) => nextChangeHandler = { resolve })
+		const notify = (change) => {
+			const currentChangeHandler = nextChangeHandler
+			nextChangePromise = new Promise((resolve) => nextChangeHandler = { resolve })
+			currentChangeHandler.resolve([Object.freeze(change), nextChangePromise])
+		}
+
+		/**
+		 * Merges entries (written locally, or by other replicas) into the replica
+		 * @param {Array} newEntries [key, value, clock, replica, deleted] entries
+		 * @returns {Array} The entries that won (the others are out of date)
+		 */
+		const merge = (newEntries) => {
+			const changedEntries = []
+			for (const [key, value, entryClock, replica, deleted] of newEntries) {
+				clock = Math.max(clock, entryClock)
+				versionVector.set(replica, Math.max(versionVector.get(replica) || 0, entryClock))
+				const entry = { value, clock: entryClock, replica, deleted }
+				if (entries.has(key) && compareStamps(entry, entries.get(key)) <= 0) continue
+				const wasDeleted = !entries.has(key) || entries.get(key).deleted
+				entries.set(key, entry)
+				changedEntries.push([key, value, entryClock, replica, deleted])
+				// Deleting a key that was not there changes nothing visible
+				if (!(deleted && wasDeleted)) notify({ key, value: deleted ? undefined : value, deleted, replica, local: replica === id })
+			}
+			return changedEntries
+		}
+
+		// Sending entries to the peers (but the one they come from), ignoring the ones that are gone
+		const broadcast = (changedEntries, source) => {
+			if (changedEntries.length === 0) return
+			for (const peer of peers) {
+				if (peer === source) continue
+				try { peer.send("shared:merge", changedEntries) } catch { }
+			}
+		}
+
+		const write = (key, value, deleted) => broadcast(merge([[key, value, clock + 1, id, deleted]]))
+
+		/**
+		 * The replica id
+		 */
+		this.id = id
+
+		/**
+		 * Retrieves the value of a key
+		 * @param {*} key
+		 * @returns {*} undefined if there is none
+		 */
+		this.get = (key) => entries.has(key) && !entries.get(key).deleted ? entries.get(key).value : undefined
+
+		/**
+		 * Checks whether a key has a value
+		 * @param {*} key
+		 * @returns {Boolean}
+		 */
+		this.has = (key) => entries.has(key) && !entries.get(key).deleted
+
+		/**
+		 * Sets the value of a key, on every replica
+		 * @param {*} key
+		 * @param {*} value
+		 * @returns {SharedMap}
+		 */
+		this.set = (key, value) => {
+			write(key, value, false)
+			return this
+		}
+
+		/**
+		 * Deletes a key, on every replica
+		 * @param {*} key
+		 * @returns {Boolean} Whether the key had a value
+		 */
+		this.delete = (key) => {
+			const had = this.has(key)
+			write(key, undefined, true)
+			return had
+		}
+
+		/**
+		 * Retrieves the keys that have a value
+		 * @returns {Array}
+		 */
+		this.keys = () => [...entries].filter(([, { deleted }]) => !deleted).map(([key]) => key)
+
+		/**
+		 * Retrieves the [key, value] pairs
+		 * @returns {Array}
+		 */
+		this.entries = () => [...entries].filter(([, { deleted }]) => !deleted).map(([key, { value }]) => [key, value])
+
+		/**
+		 * The changes of the replica's content, as an async iterable of change events: { key, value, deleted, replica, local }
+		 * Iterations start with the next change, and follow with every change, whether written locally or merged from other replicas.
+		 */
+		this.changes = {
+			[Symbol.asyncIterator]: async function* () {
+				var change, changePromise = nextChangePromise
+				while (true) {
+					[change, changePromise] = await changePromise
+					yield change
+				}
+			}
+		}
+
+		/**
+		 * Attaches the replica to a peer, syncing them, and exchanging writes with it from then on.
+		 * The replica becomes the endpoint's receiver, until detached (or until the endpoint's "messages" iteration ends, e.g. when a socket disconnects).
+		 * Ring members (see Connection.createCycle) are peers too, reaching every other member at once (their messages are tagged with their origin and hop count, which the replica leaves out).
+		 * @param {Object} endpoint Socket, connection or ring member, linked to the peer's replica
+		 * @returns {Object} The attachment, with its "messages" (the endpoint's messages that are not the shared map's), and "detach"
+		 */
+		this.attach = (endpoint) => {
+			const ring = typeof endpoint.passToken === "function"
+			const peer = { send: endpoint.send }
+			// Connection through which messages that are not part of the protocol are relayed
+			const passthrough = new Connection
+			const controller = new AbortController()
+			peers.add(peer)
+
+			; (async () => {
+				try {
+					for await (let message of endpoint.messages.iterate({ signal: controller.signal })) {
+						const [type, data] = ring ? message.slice(2) : message
+						if (type === "shared:sync") {
+							const delta = [...entries]
+								.filter(([, { clock: entryClock, replica }]) => entryClock > (data[replica] || 0))
+								.map(([key, { value, clock, replica, deleted }]) => [key, value, clock, replica, deleted])
+							if (delta.length > 0) peer.send("shared:merge", delta)
+						}
+						else if (type === "shared:merge") broadcast(merge(data), peer)
+						else passthrough.receive(message)
+					}
+					passthrough.close()
+				}
+				catch (error) {
+					if (controller.signal.aborted) passthrough.close()
+					else passthrough.error(error)
+				}
+				peers.delete(peer)
+			})()
+
+			// Asking for the entries not seen yet
+			peer.send("shared:sync", Object.fromEntries(versionVector))
+			return Object.freeze({
+				messages: passthrough.messages,
+				/**
+				 * Stops exchanging writes with the peer (and ends the attachment's "messages")
+				 */
+				detach: () => {
+					peers.delete(peer)
+					controller.abort()
+				}
+			})
+		}
+
+		Object.defineProperties(this, {
+			/**
+			 * Number of keys that have a value
+			 */
+			size: { get: () => this.keys().length }
+		})
+		Object.freeze(this)
+	}
+	id
+	get(key) { }
+	has(key) { }
+	set(key, value) { }
+	delete(key) { }
+	keys() { }
+	entries() { }
+	changes
+	attach(endpoint) { }
+}
+Object.freeze(SharedMap)
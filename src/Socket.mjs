@@ -1,4 +1,6 @@
 import { Connection } from './Connection.js'
+import { ConnectError, ConnectionClosedError, TimeoutError } from "./Errors.js"
+import { bridgeMessagePort, bridgeStdio, bridgeStream, bridgeWebSocket } from "./Bridge.js"
 /**
  * Asynchronous socket
  * Creates an instance of Socket.
@@ -10,21 +12,37 @@ export class Socket {
 	/**
 	 * The socket is purposefully asynchronous, in order not to block communications between socket interactions within the same VM.
 	 * This socket types operates in "Object mode" by default, so any object can be sent through them. It is up to other objects downstream or upstream to do any encoding/decoding.
-	 * @param {*} receive  Allowing the object to be extended with a custom receive function (albeit it could be done by calling super...).
+	 * Sockets can keep their connection alive: pinging the complement every "interval", and disconnecting (with a TimeoutError, and the "timeout" reason) when a pong takes longer than "timeout" to arrive,
+	 * or when nothing at all arrives for "idleTimeout". Every socket answers pings, whether it pings itself or not.
+	 * Pings and pongs are control frames, which never mix with messages: sockets exchange a control capability ("control(type, id)") along with their send capabilities when connecting (see connect),
+	 * and bridges carry them over their transports as reserved frames (see Bridge.js).
+	 * @param {Object} options  Options for the socket's connection message buffer (capacity, overflow and mode, see Connection)
+	 * @param {Object} options.keepalive Keepalive settings (disabled if not provided): ping "interval" (30s by default), pong "timeout" (10s by default), and "idleTimeout" (unlimited by default), in milliseconds
+	 * @param {Object} options.timers Timer functions ("setTimeout" and "clearTimeout", and optionally a "now" clock), replaceable for testing
 	 * @memberof Socket
-	 * 
-	 * TODO: Handle socket close, and socket errors notification to user (without event handlers).
-	 * TODO: One time only connections (or counted connections, or one per distinct socket connection, but no repeat after disconnection).
 	 */
-	constructor() {
-		// Setting up connection variables
-		const connection = new Connection(
+	constructor(options) {
+		// Setting up connection variables (a socket uses a fresh connection for each time it gets connected, as disconnecting closes it)
+		const createConnection = () => new Connection(
 			// Providing a receive callback that we can override locally
-			(message) => complement.receive(message)
+			// Handing messages over to the complement crosses a connection boundary (see Connection.transferable), using up hops only once the complement has taken them
+			(message, deliveryHandler) => Connection.transfer(message, () => complement.receive(message, deliveryHandler)),
+			options
 		)
+		var connection = createConnection()
 
 		// Setting up reusable error callback
-		const throwDisconnected = () => { throw ("Socket is not connected") }
+		const throwDisconnected = () => { throw new ConnectionClosedError("Socket is not connected") }
+
+		// Setting up keepalive
+		const { keepalive, timers = globalThis } = options || {}
+		const { interval = 30000, timeout = 10000, idleTimeout = Infinity } = keepalive || {}
+		const now = () => timers.now ? timers.now() : Date.now()
+		// Pings waiting for their pong, by id
+		const pendingPings = new Map()
+		var lastPingId = 0
+		var latency = null
+		var pingTimer, pongTimer, idleTimer
 
 		/**
 		 * Initializing complement capablity holding object (with disconnected state)
@@ -35,7 +53,10 @@ export class Socket {
 			send: throwDisconnected,
 			receive: throwDisconnected,
 			disconnect: throwDisconnected,
-			offer: throwDisconnected
+			offer: throwDisconnected,
+			// Control capabilities: the complement's, and the one the complement sends control frames to
+			control: throwDisconnected,
+			sendControl: throwDisconnected
 		}
 
 		/**
@@ -44,6 +65,62 @@ export class Socket {
 		 */
 		this.isConnected = () => complement.connected
 
+		// Keeping the socket's lifecycle state, chained with the promise of the next one (like the original message chain), so each "states" iteration can follow it at its own pace
+		var state = Object.freeze({ state: "disconnected", reason: null, error: null })
+		var nextStateHandler
+		var nextStatePromise = new Promise((resolve) => nextStateHandler = { resolve })
+		// Keeping one promise per connection, settling once it starts ("connected"), and once it ends ("closed")
+		var connectedHandler, closedHandler
+		var connectedPromise = new Promise((resolve) => connectedHandler = { resolve })
+		var closedPromise = new Promise((resolve) => closedHandler = { resolve })
+		var lastConnectionClosed = false
+		const transition = (newState) => {
+			state = Object.freeze(newState)
+			const currentStateHandler = nextStateHandler
+			nextStatePromise = new Promise((resolve) => nextStateHandler = { resolve })
+			currentStateHandler.resolve([state, nextStatePromise])
+			if (state.state === "connected") {
+				connectedHandler.resolve(state)
+				// The last connection's promise stays settled until the next connection starts
+				if (lastConnectionClosed) closedPromise = new Promise((resolve) => closedHandler = { resolve })
+				lastConnectionClosed = false
+			}
+			else if (state.state === "disconnected" || state.state === "errored") {
+				closedHandler.resolve(state)
+				lastConnectionClosed = true
+				connectedPromise = new Promise((resolve) => connectedHandler = { resolve })
+			}
+		}
+
+		/**
+		 * The socket's lifecycle, as an async iterable of state objects: { state, reason, error }
+		 * Iterations start with the current state, and follow with every transition: "connected", "disconnecting", and then either "disconnected", or "errored" (if the disconnection is due to an error).
+		 * Disconnection reasons are "local" (this socket disconnected), "remote" (the complement disconnected), "error" (the transport failed) or "timeout" (the complement stopped answering, see keepalive), along with the error (if any, also the complement's).
+		 */
+		this.states = {
+			[Symbol.asyncIterator]: async function* () {
+				var currentState = state, statePromise = nextStatePromise
+				yield currentState
+				while (true) {
+					// Wait until the next transition, and retrieve the state, and the next state promise
+					[currentState, statePromise] = await statePromise
+					yield currentState
+				}
+			}
+		}
+
+		Object.defineProperties(this, {
+			/**
+			 * Promise resolving (with the state) once the socket is connected: already resolved while connected, and resolving with the next connection otherwise
+			 */
+			connected: { get: () => connectedPromise },
+			/**
+			 * Promise resolving (with the state, including the reason and error) once the current connection ends.
+			 * Once it has ended, the promise stays resolved until the next connection starts. Before the first connection, it is the promise of the first connection's end.
+			 */
+			closed: { get: () => closedPromise }
+		})
+
 		// Mapping send capability to the connection's, when socket is connected
 		this.send = (...messages) => {
 			// If socket is disconnected, throw when trying to send a message on it
@@ -53,43 +130,165 @@ export class Socket {
 			return this
 		}
 
-		// Mapping iterator capability to the connection's (regardless)
-		this.messages = connection.messages
+		/**
+		 * Mapping the backpressure-aware send capability to the connection's
+		 * Resolves once the complement has pulled the message out of its "messages" iterable.
+		 * @param {...any} message 
+		 * @returns {Promise}
+		 */
+		this.sendAsync = async (...message) => {
+			if (!complement.connected) throwDisconnected()
+			return connection.sendAsync(...message)
+		}
+
+		/**
+		 * Mapping the version of the backpressure-aware send capability taking options (like an abort "signal", see Connection)
+		 * @param {Object} options
+		 * @param {...any} message 
+		 * @returns {Promise}
+		 */
+		this.sendWith = async (options, ...message) => {
+			if (!complement.connected) throwDisconnected()
+			return connection.sendWith(options, ...message)
+		}
+
+		// Mapping iterator capability to the current connection's (regardless)
+		this.messages = {
+			[Symbol.asyncIterator]: () => connection.messages[Symbol.asyncIterator](),
+			iterate: (options) => connection.messages.iterate(options)
+		}
+
+		/**
+		 * Creates a connection that runs the messages sent and received through the socket along pipeline stages (see Connection.pipe)
+		 * The connection lasts as long as the socket stays connected, and closing it disconnects the socket.
+		 * @param {Object} stages
+		 * @param {Object} options
+		 * @returns {Connection}
+		 */
+		this.pipe = (stages, options) => Connection.pipe(this, stages, options)
+
+		/**
+		 * Pings the complement
+		 * @returns {Promise<Number>} Resolves with the round trip time (in milliseconds), once the pong arrives
+		 */
+		this.ping = () => new Promise((resolve, reject) => {
+			if (!complement.connected) throwDisconnected()
+			const id = ++lastPingId
+			const sentAt = now()
+			pendingPings.set(id, {
+				resolve: () => {
+					pendingPings.delete(id)
+					latency = now() - sentAt
+					resolve(latency)
+				},
+				reject: (error) => {
+					pendingPings.delete(id)
+					reject(error)
+				}
+			})
+			complement.control("ping", id)
+		})
+
+		/**
+		 * Reports the round trip time of the last ping answered (in milliseconds)
+		 * @returns {Number} null if no ping has been answered yet
+		 */
+		this.latency = () => latency
+
+		// Restarting the idle countdown, every time something arrives from the complement
+		const resetIdleTimer = () => {
+			if (!keepalive || idleTimeout === Infinity || !complement.connected) return
+			timers.clearTimeout(idleTimer)
+			idleTimer = timers.setTimeout(() => this.disconnect(new TimeoutError(`Nothing received for ${idleTimeout}ms`), "timeout"), idleTimeout)
+		}
+
+		// Pinging the complement after each interval, for as long as it keeps answering in time
+		const schedulePing = () => {
+			if (!keepalive || interval === Infinity) return
+			pingTimer = timers.setTimeout(async () => {
+				pongTimer = timers.setTimeout(() => this.disconnect(new TimeoutError(`No pong received within ${timeout}ms`), "timeout"), timeout)
+				try {
+					await this.ping()
+					timers.clearTimeout(pongTimer)
+					schedulePing()
+				}
+				// Disconnected before the pong arrived
+				catch { }
+			}, interval)
+		}
+
+		// Stopping keepalive timers, and failing the pings in flight
+		const stopKeepalive = () => {
+			timers.clearTimeout(pingTimer)
+			timers.clearTimeout(pongTimer)
+			timers.clearTimeout(idleTimer)
+			for (const ping of [...pendingPings.values()]) ping.reject(new ConnectionClosedError("Socket disconnected before the pong arrived"))
+		}
+
+		// Receiving a message from the complement
+		const receiveFromComplement = (message, deliveryHandler) => {
+			resetIdleTimer()
+			return connection.receive(message, deliveryHandler)
+		}
+
+		// Receiving a control frame from the complement: answering pings, and matching pongs with the pings waiting for them
+		const receiveControl = (type, id) => {
+			resetIdleTimer()
+			if (type === "ping") {
+				try { complement.control("pong", id) } catch { }
+			}
+			else if (type === "pong" && pendingPings.has(id)) pendingPings.get(id).resolve()
+		}
+
+		// Keeping track of the complement's control capability (complements providing none can not be pinged)
+		const acceptControl = (complementControl) => {
+			complement.control = complementControl || (() => { throw new ConnectError("Complement takes no control frames") })
+			complement.sendControl = receiveControl
+		}
+
+		// Control capability given to the complement
+		const control = (type, id) => complement.sendControl(type, id)
 
-		// TODO: Tailor connectionOffer/ConnectionToken specifically to a particular complement?
 		/**
 		 * Connection token/offer/continuation
 		 * @param complementReceive 
 		 * @param complementDisconnect 
 		 * @param complementConnectionOffer 
+		 * @param complementControl Capability receiving the socket's control frames ("ping" and "pong", with their id)
 		 */
-		const connectionOffer = (complementReceive, complementDisconnect, complementConnectionOffer) => {
+		const connectionOffer = (complementReceive, complementDisconnect, complementConnectionOffer, complementControl) => {
 			// Storing complement's socket capabilities
 			complement.receive = complementReceive
 			complement.disconnect = complementDisconnect
+			acceptControl(complementControl)
 			// If we received a connection offer from the complement, we must complete the connction
 			if (complementConnectionOffer) {
 				// Keeping track of the complement's connection offer
 				complement.offer = complementConnectionOffer
 				// Completing the connection by sending our socket capabilities (but no longer an offer)
-				complement.offer((...messages) => complement.send(...messages), () => this.disconnect())
+				complement.offer((message, deliveryHandler) => complement.send(message, deliveryHandler), (error) => this.disconnect(error, "remote"), undefined, control)
 			}
 			// We map the complement's send capability to the socket's connection
-			complement.send = (...messages) => connection.receive(messages)
+			complement.send = receiveFromComplement
 			// We report the connection to be true
 			complement.connected = true
+			resetIdleTimer()
+			schedulePing()
+			transition({ state: "connected", reason: null, error: null })
 		}
 
 		/**
 		 * 
 		 * @param complementConnectionOffer 
+		 * @param {Object} options
+		 * @param {AbortSignal} options.signal Signal that gives up waiting for the complement's connection offer, rejecting with the signal's reason (an AbortError, unless aborted with another reason)
 		 * @returns 
 		 */
-		this.connect = async (complementConnect) => {
+		this.connect = async (complementConnect, { signal } = {}) => {
 			// If socket is already connected
 			if (complement.connected) {
 				// If attempting to connect to another socket, throw
-				if (complement.connect !== complementConnect) throw ("Socket is already connected")
+				if (complement.connect !== complementConnect) throw new ConnectError("Socket is already connected")
 				// Otherwise, do nothing (already connected to that socket)
 				else return this
 			}
@@ -100,38 +299,95 @@ export class Socket {
 			}
 			// Otherwise we connect
 			else {
+				if (signal) signal.throwIfAborted()
 				// Keeping track of complement's capabilitis
 				complement.connect = complementConnect
-				// Retrieving connection offer
-				complement.offer = await complement.connect()
+				// Retrieving connection offer (unless aborted first)
+				var onAbort
+				try {
+					// Connect capabilities may return the offer itself, rather than a promise of it
+					const offer = Promise.resolve(complement.connect())
+					complement.offer = await (signal ? new Promise((resolve, reject) => {
+						offer.then(resolve, reject)
+						signal.addEventListener("abort", onAbort = () => reject(signal.reason), { once: true })
+					}) : offer)
+				}
+				catch (error) {
+					// Forgetting about the complement (unless another connection attempt got through in the meantime)
+					if (!complement.connected && complement.connect === complementConnect) complement.connect = throwDisconnected
+					throw error
+				}
+				finally {
+					if (signal) signal.removeEventListener("abort", onAbort)
+				}
 				// Mapping complement's send to connection's receive function
-				complement.send = connection.receive
+				complement.send = receiveFromComplement
 				// We initiate the reciprocal connection 
-				complement.offer((messages) => complement.send(messages), () => this.disconnect(), connectionOffer)
-				// Setting the connection status as connected
+				complement.offer((message, deliveryHandler) => complement.send(message, deliveryHandler), (error) => this.disconnect(error, "remote"), connectionOffer, control)
+				// Setting the connection status as connected (already reported by our connection offer, once the complement accepted it)
 				complement.connected = true
 				// Returning socket (to allow for chainned connection/listening to messages)
 				return this
 			}
 		}
 
+		/**
+		 * Mints a connect token: a connect capability (to be used like "complementSocket.connect(token)") that can be limited, unlike "socket.connect" itself.
+		 * Connecting with a token that is no longer valid (or that is bound to another complement) rejects with a ConnectError.
+		 * @param {Object} options
+		 * @param {Number} options.uses Number of times the token can be used to connect (unlimited by default, 1 for a one time token)
+		 * @param {Number} options.ttl Time (in milliseconds) the token can be used for (unlimited by default)
+		 * @param {Socket} options.complement The only socket allowed to connect with the token (any socket by default)
+		 * @returns {Function} The connect token, with a "revoke" method that invalidates it
+		 */
+		this.mint = ({ uses = Infinity, ttl = Infinity, complement: allowedComplement } = {}) => {
+			const expiresAt = Date.now() + ttl
+			var revoked = false
+			const token = async () => {
+				if (revoked) throw new ConnectError("Connect token has been revoked")
+				if (Date.now() > expiresAt) throw new ConnectError("Connect token has expired")
+				if (uses <= 0) throw new ConnectError("Connect token has been used up")
+				// A connecting socket can be identified by its connection offer, which can only be retrieved from the socket itself
+				const allowedOffer = allowedComplement && await allowedComplement.connect()
+				const offer = await this.connect()
+				// Checking the complement accepting the offer before accepting it in turn
+				return (complementReceive, complementDisconnect, complementConnectionOffer, complementControl) => {
+					if (allowedComplement && complementConnectionOffer !== allowedOffer) throw new ConnectError("Connect token is bound to another complement")
+					if (revoked || uses <= 0) throw new ConnectError("Connect token is no longer valid")
+					uses--
+					offer(complementReceive, complementDisconnect, complementConnectionOffer, complementControl)
+				}
+			}
+			token.revoke = () => { revoked = true }
+			return Object.freeze(token)
+		}
+
 		/**
 		 * Disconnect complement
+		 * @param {*} error Optional error the disconnection is due to, thrown by the "messages" iterations in progress (instead of ending them cleanly), and reported to the complement
+		 * @param {String} reason Disconnection reason reported by the "states" iterable ("error" if there is an error, "local" otherwise)
 		 */
-		this.disconnect = () => {
+		this.disconnect = (error, reason = error ? "error" : "local") => {
 			// If complement is connected
 			if (complement.connected) {
+				transition({ state: "disconnecting", reason, error: error || null })
 				// Resetting complement's capabilities
 				complement.connected = false
-				complement.disconnect()
+				stopKeepalive()
+				complement.disconnect(error)
 				complement.offer = throwDisconnected
 				complement.connect = throwDisconnected
 				complement.send = throwDisconnected
 				complement.receive = throwDisconnected
 				complement.disconnect = throwDisconnected
+				complement.control = throwDisconnected
+				complement.sendControl = throwDisconnected
 				// Should we break the async message loop on disconnect? (possible expected behaviour) for now we do.
-				// Breaking async messages for await loops
-				connection.receive(null)
+				// Breaking async messages for await loops (once they pull the messages received before disconnecting), and getting a new connection ready for the next time
+				if (error) connection.error(error)
+				else connection.close()
+				connection = createConnection()
+				transition({ state: error ? "errored" : "disconnected", reason, error: error || null })
 			}
 		}
 	}
@@ -139,53 +395,35 @@ export class Socket {
 
 	/**
 	 * Connects in a looser way with other socket types, where authority management is not much of an issue
-	 * @returns 
+	 * Supported transports: local sockets, child processes (or the current process) stdio pairs, MessagePorts (and workers), WebSockets, and Node Duplex streams (e.g. net.Socket)
+	 * @param {*} transport 
+	 * @param {Object} options Transport options, like the codec messages are encoded with (see Bridge.js), along with the socket's own options (like "keepalive")
+	 * @returns {Promise<Socket>} Resolves with a socket connected to the transport
 	 */
-	static bridge(socket) {
-		//TODO: Implement socket error support (an presume that these are going to be connected to another stream on the other side of the socket, so have an internal little protocol deefined with it)
-
+	static bridge(transport, options) {
 		// Checking that if the instance is of a local socket, the connect function has not been tampered with
 		// The advantage of this model is that even though more authority is given than otherwise needed, the class of the socket can be checked and thus the "connect" behaviour as a protocol can be trusted.
-		if (socket instanceof Socket) {
+		if (transport instanceof Socket) {
 			// Do we really need to wrap a local socket? perhaps if it is "the user side" (as opposed to the complement side)... This is simply "daisy chainning" sockets... is this useful?
-			var socketBridge = new Socket((...message) => socket.send(...message))
-			socket.receive = socketBridge.send
-			socket.disconnect = socketBridge.disconnect // is this correct?
-			return socketBridge
+			return new Socket(options).connect(transport.connect)
+		}
+		// If it is a process (or a child process)
+		else if (transport.stdin && transport.stdout) {
+			return bridgeStdio(transport, options)
+		}
+		// If it is a message port (or a worker)
+		else if (transport.postMessage) {
+			return bridgeMessagePort(transport, options)
 		}
 		// else if it is a web socket (or alike)
-		else if (socket.send && socket.onmessage) {
-			// Creating socket bridge and mapping functions
-			var socketBridge = new Socket((...message) => socket.send(...message))
-			socket.onmessage = socketBridge.send
-			socket.onclose = socketBridge.disconnect
-			return socketBridge
+		else if (transport.send && "readyState" in transport) {
+			return bridgeWebSocket(transport, options)
 		}
 		// If it is a node stream
-		else if (socket.on) {
-			// Creating socket bridge and mapping functions
-			var socketBridge = new Socket((...message) => (socket.send || socket.write)(...message))
-			socket.on("message", socketBridge.send)
-			socket.on("data", socketBridge.send)
-			socket.on("close", socketBridge.disconnect)
-			return socketBridge
-		}
-		// If it is another stream
-		else if (socket.write && socket.read) {
-			// Creating socket bridge and mapping functions
-			var socketBridge = new Socket((...message) => socket.write(...message))
-			var message = []
-			socket.on("data", (data) => message.push(data))
-			socket.on("end", () => {
-				socketBridge.send(...message)
-			})
-			// socketBridge should be garbage collected after disconnect
-			socket.on("close", socketBridge.disconnect)
-			// handling error using our own inteernal protocol (simply sending the error object, with the first paramter being null)
-			socket.on("error", (error) => socket.send(null, error))
-			// Connecting socket bridge
-			return socketBridge
+		else if (transport.on && transport.write) {
+			return bridgeStream(transport, options)
 		}
+		return Promise.reject(new TypeError("Unsupported transport"))
 	}
 
 	/**
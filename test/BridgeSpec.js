@@ -0,0 +1,107 @@
+import chai from 'chai'
+import net from "net"
+import { spawn } from "child_process"
+import { MessageChannel } from "worker_threads"
+import { Socket } from "../src/Socket.mjs"
+const expect = chai.expect
+
+// Pulls the next message out of a socket
+const nextMessage = async (socket) => {
+	for await (let message of socket.messages) return message
+}
+
+// Minimal WHATWG WebSocket look-alike, connected to another one
+class FakeWebSocket extends EventTarget {
+	readyState = 0
+	open(complement) {
+		this.complement = complement
+		this.readyState = 1
+		this.dispatchEvent(new Event("open"))
+	}
+	send(data) {
+		const event = new Event("message")
+		event.data = data
+		setImmediate(() => this.complement.dispatchEvent(event))
+	}
+	close() {
+		if (this.readyState > 1) return
+		this.readyState = 3
+		this.dispatchEvent(new Event("close"))
+		this.complement.close()
+	}
+}
+
+it('Bridges net sockets', async () => {
+	const server = net.createServer()
+	const serverSocket = new Promise((resolve) => server.on("connection", (stream) => resolve(Socket.bridge(stream))))
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+	const clientSocket = await Socket.bridge(net.connect(server.address().port, "127.0.0.1"))
+	const socket = await serverSocket
+
+	await clientSocket.sendAsync("Hello", { from: "client" }, [1, 2])
+	expect(await nextMessage(socket)).to.deep.equal(["Hello", { from: "client" }, [1, 2]])
+	socket.send("Hello", "back")
+	expect(await nextMessage(clientSocket)).to.deep.equal(["Hello", "back"])
+
+	// Disconnecting one end closes the stream, and so disconnects the other end
+	const serverMessages = (async () => { for await (let message of socket.messages); })()
+	clientSocket.disconnect()
+	await serverMessages
+	expect(socket.isConnected()).to.be.false
+	await new Promise((resolve) => server.close(resolve))
+})
+
+it('Bridges message ports', async () => {
+	const { port1, port2 } = new MessageChannel()
+	const [socket1, socket2] = await Promise.all([Socket.bridge(port1), Socket.bridge(port2)])
+
+	const date = new Date
+	socket1.send("Hello", date)
+	expect(await nextMessage(socket2)).to.deep.equal(["Hello", date])
+
+	// Control frames share the port with messages, which go through untouched even when they look like them
+	expect(await socket1.ping()).to.be.a("number")
+	socket1.send("keepalive:pong", 1)
+	expect(await nextMessage(socket2)).to.deep.equal(["keepalive:pong", 1])
+	socket2.send("keepalive:data", "Hello")
+	expect(await nextMessage(socket1)).to.deep.equal(["keepalive:data", "Hello"])
+
+	// Closing a port closes the other one as well
+	const messages = (async () => { for await (let message of socket2.messages); })()
+	socket1.disconnect()
+	await messages
+	expect(socket2.isConnected()).to.be.false
+})
+
+it('Bridges web sockets, failing message iterations on error', async () => {
+	const webSocket1 = new FakeWebSocket
+	const webSocket2 = new FakeWebSocket
+	const sockets = Promise.all([Socket.bridge(webSocket1), Socket.bridge(webSocket2)])
+	webSocket1.open(webSocket2)
+	webSocket2.open(webSocket1)
+	const [socket1, socket2] = await sockets
+
+	socket1.send("Hello", { over: "websocket" })
+	expect(await nextMessage(socket2)).to.deep.equal(["Hello", { over: "websocket" }])
+
+	const messages = (async () => {
+		try { for await (let message of socket2.messages); }
+		catch (error) { return error }
+	})()
+	webSocket2.dispatchEvent(new Event("error"))
+	expect((await messages).message).to.equal("WebSocket error")
+	expect(socket2.isConnected()).to.be.false
+	// The error closes the web socket, which disconnects the other end
+	webSocket2.close()
+	expect(socket1.isConnected()).to.be.false
+})
+
+it('Bridges child process stdio', async () => {
+	// The child process echoes every line it reads
+	const child = spawn(process.execPath, ["-e", "process.stdin.pipe(process.stdout)"])
+	const socket = await Socket.bridge(child)
+	socket.send("Hello", "child")
+	expect(await nextMessage(socket)).to.deep.equal(["Hello", "child"])
+	socket.disconnect()
+	await new Promise((resolve) => child.on("exit", resolve))
+})
@@ -0,0 +1,84 @@
+import chai from 'chai'
+import net from "net"
+import { json, lengthPrefixed, structured, serialize, deserialize } from "../src/Codec.js"
+import { Connection } from "../src/Connection.js"
+import { Socket } from "../src/Socket.mjs"
+const expect = chai.expect
+
+// Decodes the encoded messages feeding the decoder one byte at a time
+const decodeByteByByte = (codec, messages) => {
+	const decode = codec.createDecoder()
+	const decoded = []
+	for (const message of messages) {
+		const encoded = codec.encode(message)
+		const bytes = typeof encoded === "string" ? Buffer.from(encoded) : encoded
+		for (let i = 0; i < bytes.length; i++) decoded.push(...decode(bytes.subarray(i, i + 1)))
+	}
+	return decoded
+}
+
+it('Keeps message boundaries across chunks', () => {
+	const messages = [["Hello", "wörld"], [{ a: [1, 2] }], ["multi", "frame", "message", 3]]
+	expect(decodeByteByByte(json, messages)).to.deep.equal(messages)
+	expect(decodeByteByByte(lengthPrefixed(), messages)).to.deep.equal(messages)
+	expect(decodeByteByByte(structured, messages)).to.deep.equal(messages)
+})
+
+it('Preserves structured values', () => {
+	const error = new TypeError("Failure", { cause: 42n })
+	const object = { date: new Date(0), map: new Map([[1, new Set(["a"])]]), bytes: new Uint16Array([1, 65535]), regexp: /a+/g }
+	object.self = object
+	const [decodedObject, decodedError, ...numbers] = deserialize(serialize([object, error, NaN, -0, Infinity, undefined]))
+
+	expect(decodedObject.date).to.be.instanceOf(Date)
+	expect(decodedObject.date.getTime()).to.equal(0)
+	expect(decodedObject.map.get(1).has("a")).to.be.true
+	expect(decodedObject.bytes).to.be.instanceOf(Uint16Array)
+	expect([...decodedObject.bytes]).to.deep.equal([1, 65535])
+	expect(decodedObject.regexp.flags).to.equal("g")
+	expect(decodedObject.self).to.equal(decodedObject)
+	expect(decodedError).to.be.instanceOf(TypeError)
+	expect(decodedError.message).to.equal("Failure")
+	expect(decodedError.cause).to.equal(42n)
+	expect(numbers).to.deep.equal([NaN, -0, Infinity, undefined])
+	expect(() => serialize([() => { }])).to.throw(TypeError)
+
+	// A "__proto__" key is decoded as a key, leaving the prototype alone
+	const [decodedPayload] = deserialize(serialize([JSON.parse('{"__proto__": { "admin": true }}')]))
+	expect(Object.getPrototypeOf(decodedPayload)).to.equal(Object.prototype)
+	expect(decodedPayload.admin).to.be.undefined
+	expect(Object.keys(decodedPayload)).to.deep.equal(["__proto__"])
+	// And so are type and error names matching what plain objects inherit
+	const [disguisedError] = deserialize(new TextEncoder().encode(JSON.stringify(["array", [["Error", "constructor", "Failure", "", ["none"]]]])))
+	expect(disguisedError).to.be.instanceOf(Error)
+	expect(disguisedError.name).to.equal("constructor")
+	for (const type of ["constructor", "toString"]) {
+		expect(() => deserialize(new TextEncoder().encode(JSON.stringify(["array", [[type, ""]]])))).to.throw(TypeError, "Unknown structured value type")
+	}
+})
+
+it('Carries the hop counts of transferable objects', () => {
+	const ticket = Connection.transferable({ seat: 12 }, { hops: 2 })
+	const [decodedTicket, plain] = deserialize(serialize([ticket, { seat: 13 }]))
+	expect(decodedTicket).to.deep.equal({ seat: 12 })
+	expect(Connection.hopsLeft(decodedTicket)).to.equal(2)
+	expect(Connection.hopsLeft(plain)).to.equal(Infinity)
+})
+
+it('Bridges sockets with a codec', async () => {
+	const server = net.createServer()
+	const serverSocket = new Promise((resolve) => server.on("connection", (stream) => resolve(Socket.bridge(stream, { codec: structured }))))
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+	const clientSocket = await Socket.bridge(net.connect(server.address().port, "127.0.0.1"), { codec: structured })
+	const socket = await serverSocket
+
+	clientSocket.send("Hello", new Map([["at", new Date(0)]]), 1n)
+	for await (let [text, map, bigint] of socket.messages) {
+		expect(text).to.equal("Hello")
+		expect(map.get("at").getTime()).to.equal(0)
+		expect(bigint).to.equal(1n)
+		break
+	}
+	clientSocket.disconnect()
+	await new Promise((resolve) => server.close(resolve))
+})
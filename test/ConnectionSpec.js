@@ -1,5 +1,6 @@
 import chai from 'chai'
 import { Connection } from "../src/Connection.js"
+import { BufferOverflowError, ConnectionClosedError, UnreachableError } from "../src/Errors.js"
 const expect = chai.expect
 
 it('Allows async iteration', async () => {
@@ -9,7 +10,7 @@ it('Allows async iteration', async () => {
 	var interval = setInterval(() => {
 		if (messageCount === 5) {
 			clearInterval(interval)
-			connection.receive(null)
+			connection.close()
 		}
 		else {
 			connection.send(`${messageCount}`)
@@ -25,4 +26,338 @@ it('Allows async iteration', async () => {
 	expect(messages.length).to.equal(5);
 	expect(messages.join("")).to.equal("01234");
 
-})
\ No newline at end of file
+})
+
+it('Buffers messages sent before iterating', async () => {
+	const [connection1, connection2] = Connection.createPair()
+	connection1.send("Hello", "world")
+	connection1.send("Hello again")
+	expect(connection2.bufferedCount()).to.equal(2)
+
+	const messages = []
+	for await (let message of connection2.messages) {
+		messages.push(message)
+		if (messages.length === 2) break
+	}
+	expect(messages).to.deep.equal([["Hello", "world"], ["Hello again"]])
+	expect(connection2.bufferedCount()).to.equal(0)
+})
+
+it('Applies the overflow policy when the buffer is full', async () => {
+	const dropOldest = new Connection(undefined, { capacity: 2 })
+	dropOldest.send(1); dropOldest.send(2); dropOldest.send(3)
+	const dropNewest = new Connection(undefined, { capacity: 2, overflow: "drop-newest" })
+	dropNewest.send(1); dropNewest.send(2); dropNewest.send(3)
+	const throwing = new Connection(undefined, { capacity: 1, overflow: "throw" })
+	throwing.send(1)
+	expect(() => throwing.send(2)).to.throw(BufferOverflowError)
+
+	const pull = async (connection, count) => {
+		const messages = []
+		for await (let [message] of connection.messages) {
+			messages.push(message)
+			if (messages.length === count) break
+		}
+		return messages
+	}
+	expect(await pull(dropOldest, 2)).to.deep.equal([2, 3])
+	expect(await pull(dropNewest, 2)).to.deep.equal([1, 2])
+	expect(await pull(throwing, 1)).to.deep.equal([1])
+})
+
+it('Blocks senders until there is buffer space', async () => {
+	const connection = new Connection(undefined, { capacity: 1, overflow: "block" })
+	const sent = []
+	connection.send(1).then(() => sent.push(1))
+	connection.send(2).then(() => sent.push(2))
+	await null
+	expect(sent).to.deep.equal([1])
+	expect(connection.bufferedCount()).to.equal(1)
+
+	const iterator = connection.messages[Symbol.asyncIterator]()
+	expect((await iterator.next()).value).to.deep.equal([1])
+	expect(sent).to.deep.equal([1, 2])
+	expect((await iterator.next()).value).to.deep.equal([2])
+	await iterator.return()
+})
+
+it('Fails blocked async sends when the connection fails', async () => {
+	const unhandled = []
+	const onUnhandledRejection = (reason) => unhandled.push(reason)
+	process.on("unhandledRejection", onUnhandledRejection)
+	const connection = new Connection(undefined, { capacity: 1, overflow: "block" })
+	const controller = new AbortController()
+	connection.send(1)
+	const errors = []
+	const sends = [connection.sendAsync(2), connection.sendWith({}, 3), connection.sendWith({ signal: controller.signal }, 4)].map((send) => send.catch((e) => errors.push(e.message)))
+	controller.abort()
+	connection.error(new Error("Crash"))
+	await Promise.all(sends)
+	await new Promise((resolve) => setImmediate(resolve))
+	process.off("unhandledRejection", onUnhandledRejection)
+	expect(errors.sort()).to.deep.equal(["Crash", "Crash", "This operation was aborted"])
+	expect(unhandled).to.deep.equal([])
+})
+
+it('Resolves async sends once the receiver pulls the message', async () => {
+	const [connection1, connection2] = Connection.createPair({ capacity: 1, overflow: "drop-newest" })
+	var delivered = false
+	const delivery = connection1.sendAsync("Hello").then(() => delivered = true)
+	await null
+	expect(delivered).to.be.false
+
+	const iterator = connection2.messages[Symbol.asyncIterator]()
+	expect((await iterator.next()).value).to.deep.equal(["Hello"])
+	await delivery
+	expect(delivered).to.be.true
+
+	// A message that does not fit in the buffer is never delivered
+	connection1.send("Filling the buffer")
+	let error
+	await connection1.sendAsync("Dropped").catch((e) => error = e)
+	expect(error).to.be.instanceOf(BufferOverflowError)
+	await iterator.return()
+})
+
+it('Ends iterations on close, and fails them on error', async () => {
+	const connection = new Connection
+	connection.send(null)
+	connection.send("Last")
+	connection.close()
+	await connection.closed
+
+	const messages = []
+	for await (let message of connection.messages) messages.push(message)
+	expect(messages).to.deep.equal([[null], ["Last"]])
+	expect(() => connection.send("Too late")).to.throw(ConnectionClosedError)
+	let error
+	await connection.sendAsync("Too late").catch((e) => error = e)
+	expect(error).to.be.instanceOf(ConnectionClosedError)
+
+	const failing = new Connection
+	const failure = new Error("Failure")
+	const iterations = [1, 2].map(async () => {
+		try { for await (let message of failing.messages); }
+		catch (e) { return e }
+	})
+	failing.error(failure)
+	expect(await Promise.all(iterations)).to.deep.equal([failure, failure])
+	error = null
+	await failing.closed.catch((e) => error = e)
+	expect(error).to.equal(failure)
+})
+
+it('Delivers every message to every receiver in fan-out mode', async () => {
+	const connection = new Connection(undefined, { mode: "fan-out" })
+	connection.send("Before")
+	const receive = async () => {
+		const messages = []
+		for await (let [message] of connection.messages) messages.push(message)
+		return messages
+	}
+	const receiver1 = receive()
+	const receiver2 = receive()
+	const delivery = connection.sendAsync(1)
+	connection.send(2)
+	await delivery
+	const receiver3 = receive()
+	connection.send(3)
+	connection.close()
+	// The first receiver claims the messages sent while nobody was iterating
+	expect(await receiver1).to.deep.equal(["Before", 1, 2, 3])
+	expect(await receiver2).to.deep.equal([1, 2, 3])
+	expect(await receiver3).to.deep.equal([3])
+})
+
+it('Delivers each message to a single receiver in work-queue mode', async () => {
+	const connection = new Connection(undefined, { mode: "work-queue" })
+	const receive = async () => {
+		const messages = []
+		for await (let [message] of connection.messages) messages.push(message)
+		return messages
+	}
+	const receivers = [receive(), receive()]
+	for (let i = 0; i < 6; i++) connection.send(i)
+	connection.close()
+	const [messages1, messages2] = await Promise.all(receivers)
+	expect(messages1.length + messages2.length).to.equal(6)
+	expect([...messages1, ...messages2].sort()).to.deep.equal([0, 1, 2, 3, 4, 5])
+})
+
+it('Routes messages hop by hop through an acyclic network', async () => {
+	const next = async (node) => {
+		for await (let message of node.messages) return message
+	}
+	const root = Connection.createAcyclicNetwork()
+	const node1 = root.spawn()
+	const node2 = root.spawn()
+	const node3 = node1.spawn()
+	const node4 = node2.spawn()
+	expect([root.id, node1.id, node2.id, node3.id, node4.id]).to.deep.equal(["0", "0.0", "0.1", "0.0.0", "0.1.0"])
+	expect(root.parent).to.be.null
+	expect(node3.parent).to.equal(node1)
+	expect(root.children).to.deep.equal([node1, node2])
+
+	// Across branches, up to the root and down again
+	node3.sendTo("0.1.0", "Hello", "cousin")
+	expect(await next(node4)).to.deep.equal(["0.0.0", "Hello", "cousin"])
+	node4.sendTo("0", "Hello root")
+	expect(await next(root)).to.deep.equal(["0.1.0", "Hello root"])
+	expect(() => node4.sendTo("0.2", "Hello")).to.throw(UnreachableError)
+
+	// Broadcasting reaches the whole subtree
+	node1.broadcast("Hello subtree")
+	expect(await next(node3)).to.deep.equal(["0.0", "Hello subtree"])
+	root.broadcast("Hello everyone")
+	for (const node of [node1, node2, node3, node4]) expect(await next(node)).to.deep.equal(["0", "Hello everyone"])
+
+	// Removing a node tears down its subtree
+	node2.remove()
+	expect(root.children).to.deep.equal([node1])
+	expect(await next(node4)).to.be.undefined
+	expect(() => node4.sendTo("0", "Hello")).to.throw(ConnectionClosedError)
+	expect(() => node3.sendTo("0.1.0", "Hello")).to.throw(UnreachableError)
+	// Ids are not reused
+	expect(root.spawn().id).to.equal("0.2")
+})
+
+it('Forwards messages around a ring, and passes its token along', async () => {
+	const next = async (member) => {
+		for await (let message of member.messages) return message
+	}
+	const ring = Connection.createCycle(3)
+	const [member1, member2, member3] = ring.members
+	expect(ring.holder).to.equal(member1)
+
+	// Messages go around the ring, and stop before reaching their origin again
+	member2.send("Hello")
+	expect(await next(member3)).to.deep.equal([member2.id, 1, "Hello"])
+	expect(await next(member1)).to.deep.equal([member2.id, 2, "Hello"])
+
+	// Joining and leaving re-links the ring
+	const member4 = ring.join()
+	member2.leave()
+	expect(ring.members).to.deep.equal([member1, member3, member4])
+	member1.send("Hi")
+	expect(await next(member3)).to.deep.equal([member1.id, 1, "Hi"])
+	expect(await next(member4)).to.deep.equal([member1.id, 2, "Hi"])
+	expect(() => member2.send("Hi")).to.throw(ConnectionClosedError)
+
+	// Members take turns holding the token, round robin
+	const turns = []
+	await Promise.all([member1, member3, member4].map(async (member) => {
+		for (let turn = 0; turn < 2; turn++) {
+			await member.acquire()
+			expect(ring.members.filter((other) => other.holdsToken())).to.deep.equal([member])
+			turns.push(member.id)
+			member.passToken()
+		}
+	}))
+	expect(turns).to.deep.equal([member1.id, member3.id, member4.id, member1.id, member3.id, member4.id])
+	expect(() => member3.passToken()).to.throw()
+
+	// Leaving while holding the token passes it on
+	member3.leave()
+	member4.leave()
+	expect(ring.holder).to.equal(member1)
+	member1.leave()
+	expect(ring.holder).to.be.null
+})
+
+it('Runs messages through pipeline stages', async () => {
+	const [connection1, connection2] = Connection.createPair()
+	const piped = connection1.pipe({
+		outbound: [
+			// Validating
+			(message) => {
+				if (typeof message[0] !== "number") throw new TypeError("Only numbers can be sent")
+				return message
+			},
+			// Filtering
+			(message) => message[0] % 2 === 0 ? undefined : message,
+			// Batching
+			async function* (messages) {
+				var batch = []
+				for await (let message of messages) {
+					batch.push(...message)
+					if (batch.length === 2) {
+						yield ["batch", ...batch]
+						batch = []
+					}
+				}
+			}
+		],
+		inbound: [
+			// Splitting
+			async function* (messages) {
+				for await (let [type, ...items] of messages) {
+					for (const item of items) yield [type, item]
+				}
+			},
+			// Mapping
+			async ([type, item]) => [type.toUpperCase(), item * 10]
+		]
+	})
+	expect(piped).to.be.instanceOf(Connection)
+	expect(Object.isFrozen(piped)).to.be.true
+
+	let error
+	await piped.sendAsync("one").catch((e) => error = e)
+	expect(error).to.be.instanceOf(TypeError)
+	await piped.sendAsync(2)
+	for (const number of [1, 3, 5, 7]) piped.send(number)
+	const sent = []
+	for await (let message of connection2.messages) {
+		sent.push(message)
+		if (sent.length === 2) break
+	}
+	expect(sent).to.deep.equal([["batch", 1, 3], ["batch", 5, 7]])
+
+	connection2.send("item", 1, 2)
+	const received = []
+	for await (let message of piped.messages) {
+		received.push(message)
+		if (received.length === 2) break
+	}
+	expect(received).to.deep.equal([["ITEM", 10], ["ITEM", 20]])
+
+	// Closing the piped connection closes the one underneath
+	piped.close()
+	await connection1.closed
+})
+
+it('Aborts message iterations and awaited sends', async () => {
+	const connection = new Connection
+	const controller = new AbortController()
+	const iteration = (async () => {
+		for await (let message of connection.messages.iterate({ signal: controller.signal }));
+	})()
+	await new Promise((resolve) => setTimeout(resolve))
+	controller.abort()
+	let error
+	await iteration.catch((e) => error = e)
+	expect(error.name).to.equal("AbortError")
+	// The aborted receiver does not take the next message
+	connection.send("Hello")
+	for await (let message of connection.messages) {
+		expect(message).to.deep.equal(["Hello"])
+		break
+	}
+
+	// Aborting an awaited send withdraws the message, if it is still buffered
+	const [connection1, connection2] = Connection.createPair()
+	const sendController = new AbortController()
+	const delivery = connection1.sendWith({ signal: sendController.signal }, "Withdrawn")
+	expect(connection2.bufferedCount()).to.equal(1)
+	sendController.abort()
+	error = null
+	await delivery.catch((e) => error = e)
+	expect(error.name).to.equal("AbortError")
+	expect(connection2.bufferedCount()).to.equal(0)
+	const delivered = connection1.sendWith({ signal: new AbortController().signal }, "Delivered")
+	for await (let message of connection2.messages) {
+		expect(message).to.deep.equal(["Delivered"])
+		break
+	}
+	await delivered
+})
@@ -0,0 +1,106 @@
+import chai from 'chai'
+import { spawn } from "child_process"
+import { RemoteError } from "../src/Errors.js"
+import { EvalSocket } from "../src/EvalSocket.js"
+import { Rpc } from "../src/Rpc.js"
+import { Socket } from "../src/Socket.mjs"
+const expect = chai.expect
+
+it('Evaluates code in an isolated context that can reach the socket', async () => {
+	const [socket, complementSocket] = [new Socket, new Socket]
+	await complementSocket.connect(socket.connect)
+	const evalSocket = new EvalSocket(socket, { allow: ["setTimeout"], globals: { answer: 42 } })
+	const complement = new Rpc(complementSocket)
+	expect(await complement.call("eval", "answer + 1")).to.equal(43)
+	// Only the allowed globals are there
+	expect(await complement.call("eval", "[typeof process, typeof require, typeof setTimeout, typeof setInterval]")).to.deep.equal(["undefined", "undefined", "function", "undefined"])
+	// The context keeps its state, and asynchronous results are awaited
+	await complement.call("eval", "var counter = 1")
+	expect(await complement.call("eval", "new Promise((resolve) => setTimeout(() => resolve(++counter), 10))")).to.equal(2)
+
+	let error
+	await complement.call("eval", "null.property").catch((e) => error = e)
+	expect(error).to.be.instanceOf(RemoteError)
+	expect(error.remoteName).to.equal("TypeError")
+
+	// Bootstrapping an echo protocol
+	expect(await complement.call("eval", "(async () => { for await (let message of messages) send('echo', ...message) })(); 'Listening'")).to.equal("Listening")
+	complementSocket.send("Hello")
+	for await (let message of complement.messages) {
+		expect(message).to.deep.equal(["echo", "Hello"])
+		break
+	}
+	// Messages the context can not take are reported back, and the next ones still go through
+	complementSocket.send(1n)
+	complementSocket.send("Hello again")
+	const replies = []
+	for await (let message of complement.messages) {
+		replies.push(message)
+		if (replies.length === 2) break
+	}
+	expect(replies.map(([type]) => type)).to.deep.equal(["eval:undelivered", "echo"])
+	expect(replies[0][1].name).to.equal("TypeError")
+	expect(replies[1]).to.deep.equal(["echo", "Hello again"])
+	evalSocket.close()
+})
+
+it('Limits evaluations in time and memory', async function () {
+	this.timeout(10000)
+	const [socket, complementSocket] = [new Socket, new Socket]
+	await complementSocket.connect(socket.connect)
+	new EvalSocket(socket, { timeout: 100, memory: 16 })
+	const complement = new Rpc(complementSocket)
+	let error
+	await complement.call("eval", "while (true);").catch((e) => error = e)
+	expect(error.remoteName).to.equal("TimeoutError")
+	error = null
+	await complement.call("eval", "new Promise(() => { })").catch((e) => error = e)
+	expect(error.remoteName).to.equal("TimeoutError")
+
+	await complement.call("eval", "var kept = true")
+	error = null
+	await complement.call("eval", "const chunks = []; while (true) chunks.push(new Array(1000000).fill(1))").catch((e) => error = e)
+	expect(error).to.be.instanceOf(RemoteError)
+	// Evaluations go on in a fresh context
+	expect(await complement.call("eval", "typeof kept")).to.equal("undefined")
+	// Disconnecting terminates the context
+	complementSocket.disconnect()
+})
+
+it('Keeps evaluations from escaping the context, or the time limit', async function () {
+	this.timeout(10000)
+	const [socket, complementSocket] = [new Socket, new Socket]
+	await complementSocket.connect(socket.connect)
+	new EvalSocket(socket, { timeout: 100, allow: ["setTimeout", "TextEncoder"] })
+	const complement = new Rpc(complementSocket)
+	// What the context holds leads back to the context's own realm, not to the worker's
+	expect(await complement.call("eval", "[send, messages[Symbol.asyncIterator]().next(), {}].map((value) => value.constructor.constructor('return typeof process')())")).to.deep.equal(["undefined", "undefined", "undefined"])
+	// Allowed host globals (and whatever they return, or throw) do not lead to the worker's code constructors either
+	for (const code of ["setTimeout.constructor('return process')()", "setTimeout(() => { }).constructor.constructor('return process')()", "new TextEncoder().encode('a').constructor.constructor.constructor('return process')()"]) {
+		let error
+		await complement.call("eval", code).catch((e) => error = e)
+		expect(error.remoteName).to.equal("TypeError")
+	}
+	expect(await complement.call("eval", "try { new TextEncoder().encodeInto() } catch (error) { [error.name, error.constructor.constructor('return typeof process')()] }")).to.deep.equal(["TypeError", "undefined"])
+	expect(await complement.call("eval", "[...new TextEncoder().encode('hi')]")).to.deep.equal([104, 105])
+
+	// Promise jobs queued by an evaluation run within its time limit
+	let error
+	await complement.call("eval", "Promise.resolve().then(() => { while (true); }); 1").catch((e) => error = e)
+	expect(error.remoteName).to.equal("TimeoutError")
+	expect(await complement.call("eval", "2")).to.equal(2)
+	complementSocket.disconnect()
+})
+
+it('Evaluates code in a child process, over stdio', async function () {
+	this.timeout(10000)
+	const child = spawn(process.execPath, ["--input-type=module", "-e", `
+		import { EvalSocket } from "${new URL("../src/EvalSocket.js", import.meta.url)}"
+		import { Socket } from "${new URL("../src/Socket.mjs", import.meta.url)}"
+		new EvalSocket(await Socket.bridge(process), { globals: { pid: process.pid } })
+	`])
+	const socket = await Socket.bridge(child)
+	expect(await new Rpc(socket).call("eval", "pid")).to.equal(child.pid)
+	socket.disconnect()
+	await new Promise((resolve) => child.on("exit", resolve))
+})
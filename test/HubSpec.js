@@ -0,0 +1,89 @@
+import chai from 'chai'
+import { ConnectError, UnreachableError } from "../src/Errors.js"
+import { Hub } from "../src/Hub.js"
+const expect = chai.expect
+
+const next = async (connection) => {
+	for await (let message of connection.messages) return message
+}
+
+it('Routes unicast, broadcast and published messages among named peers', async () => {
+	const hub = new Hub
+	const alice = hub.attach("alice")
+	const bob = hub.attach("bob")
+	const carol = hub.attach("carol")
+	expect(() => hub.attach("bob")).to.throw(ConnectError)
+	expect(hub.addresses()).to.deep.equal(["alice", "bob", "carol"])
+
+	alice.send("to", "bob", "Hello", "Bob")
+	expect(await next(bob)).to.deep.equal(["from", "alice", "Hello", "Bob"])
+	expect(() => alice.send("to", "dave", "Hello")).to.throw(UnreachableError)
+
+	bob.send("broadcast", "Hello everyone")
+	expect(await next(alice)).to.deep.equal(["broadcast", "bob", "Hello everyone"])
+	expect(await next(carol)).to.deep.equal(["broadcast", "bob", "Hello everyone"])
+	expect(bob.bufferedCount()).to.equal(0)
+
+	alice.send("subscribe", "news")
+	carol.send("subscribe", "news")
+	expect(hub.subscribers("news")).to.deep.equal(["alice", "carol"])
+	// Awaiting delivery waits for every subscriber to pull the message
+	var delivered = false
+	const delivery = bob.sendAsync("publish", "news", "Extra!").then(() => delivered = true)
+	expect(await next(alice)).to.deep.equal(["publish", "news", "bob", "Extra!"])
+	await new Promise((resolve) => setTimeout(resolve))
+	expect(delivered).to.be.false
+	expect(await next(carol)).to.deep.equal(["publish", "news", "bob", "Extra!"])
+	await delivery
+
+	carol.send("unsubscribe", "news")
+	bob.send("publish", "news", "Old news")
+	expect(carol.bufferedCount()).to.equal(0)
+	expect(await next(alice)).to.deep.equal(["publish", "news", "bob", "Old news"])
+})
+
+it('Cleans up after detached peers', async () => {
+	const hub = new Hub
+	const alice = hub.attach("alice")
+	const bob = hub.attach("bob")
+	alice.send("subscribe", "news")
+	bob.send("subscribe", "news")
+
+	hub.detach("alice")
+	expect(await next(alice)).to.be.undefined
+	expect(hub.subscribers("news")).to.deep.equal(["bob"])
+	expect(() => bob.send("to", "alice", "Hello")).to.throw(UnreachableError)
+
+	// Peers closing their own connection get detached too, and the address can be attached again
+	bob.close()
+	await bob.closed
+	expect(hub.addresses()).to.deep.equal([])
+	expect(hub.subscribers("news")).to.deep.equal([])
+	const newBob = hub.attach("bob")
+	hub.close()
+	await newBob.closed
+	expect(hub.addresses()).to.deep.equal([])
+})
+
+it('Holds broadcasting senders back until every recipient has room', async () => {
+	const unhandled = []
+	const onUnhandledRejection = (reason) => unhandled.push(reason)
+	process.on("unhandledRejection", onUnhandledRejection)
+	const hub = new Hub({ capacity: 1, overflow: "block" })
+	const alice = hub.attach("alice")
+	const bob = hub.attach("bob")
+	const carol = hub.attach("carol")
+	bob.send("broadcast", 1)
+	var sent = false
+	const sending = bob.send("broadcast", 2).then(() => sent = true)
+	expect(await next(alice)).to.deep.equal(["broadcast", "bob", 1])
+	await new Promise((resolve) => setImmediate(resolve))
+	expect(sent).to.be.false
+	// A recipient failing no longer holds the sender back
+	carol.error(new Error("Carol crashed"))
+	await sending
+	expect(await next(alice)).to.deep.equal(["broadcast", "bob", 2])
+	await new Promise((resolve) => setImmediate(resolve))
+	process.off("unhandledRejection", onUnhandledRejection)
+	expect(unhandled).to.deep.equal([])
+})
@@ -0,0 +1,52 @@
+import chai from 'chai'
+import { ConnectError } from "../src/Errors.js"
+import { MultiSocket } from "../src/MultiSocket.js"
+import { Socket } from "../src/Socket.mjs"
+const expect = chai.expect
+
+it('Accepts many connections', async () => {
+	const server = new MultiSocket
+	const capability = server.listen()
+	const clients = [new Socket, new Socket, new Socket]
+	await Promise.all(clients.map((client) => client.connect(capability)))
+	clients.forEach((client, i) => client.send("Hello from", i))
+
+	const messages = []
+	for await (let socket of server.connections) {
+		for await (let message of socket.messages) {
+			messages.push(message)
+			socket.send("Welcome", message[1])
+			break
+		}
+		if (messages.length === 3) break
+	}
+	expect(messages).to.deep.equal([["Hello from", 0], ["Hello from", 1], ["Hello from", 2]])
+	expect(server.connectionCount()).to.equal(3)
+	for await (let message of clients[2].messages) {
+		expect(message).to.deep.equal(["Welcome", 2])
+		break
+	}
+
+	// Disconnecting a client untracks its socket
+	clients[0].disconnect()
+	expect(server.connectionCount()).to.equal(2)
+	// Closing the multi socket disconnects every client
+	server.close()
+	expect(server.connectionCount()).to.equal(0)
+	expect(clients.some((client) => client.isConnected())).to.be.false
+	let error
+	await new Socket().connect(capability).catch((e) => error = e)
+	expect(error).to.be.instanceOf(ConnectError)
+})
+
+it('Hands out limited use capabilities', async () => {
+	const server = new MultiSocket
+	const capability = server.listen({ uses: 1 })
+	// Offers fetched but never accepted use nothing up
+	await capability()
+	await new Socket().connect(capability)
+	let error
+	await new Socket().connect(capability).catch((e) => error = e)
+	expect(error).to.be.instanceOf(ConnectError)
+	expect(server.connectionCount()).to.equal(1)
+})
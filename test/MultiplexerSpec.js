@@ -0,0 +1,92 @@
+import chai from 'chai'
+import { Connection } from "../src/Connection.js"
+import { TransferError } from "../src/Errors.js"
+import { Multiplexer } from "../src/Multiplexer.js"
+import { Socket } from "../src/Socket.mjs"
+const expect = chai.expect
+
+const createMultiplexerPair = async (options) => {
+	const socket1 = new Socket
+	const socket2 = new Socket
+	await socket1.connect(socket2.connect)
+	return [new Multiplexer(socket1, options), new Multiplexer(socket2, options), socket1]
+}
+const nextMessage = async (iterable) => {
+	for await (let message of iterable) return message
+}
+
+it('Opens named and numbered channels from either end', async () => {
+	const [multiplexer1, multiplexer2] = await createMultiplexerPair()
+	const control = multiplexer1.open("control")
+	const data = multiplexer2.open(1)
+	control.send("Hello", "control")
+	data.send("Hello", "data")
+
+	const remoteControl = await nextMessage(multiplexer2.channels)
+	expect(remoteControl.id).to.equal("control")
+	expect(await nextMessage(remoteControl.messages)).to.deep.equal(["Hello", "control"])
+	// Opening an id the complement opened returns the same channel
+	expect(await nextMessage(multiplexer1.open(1).messages)).to.deep.equal(["Hello", "data"])
+	expect(multiplexer2.open("control")).to.equal(remoteControl)
+})
+
+it('Keeps a busy channel from starving the others', async () => {
+	const [multiplexer1, multiplexer2] = await createMultiplexerPair({ window: 2 })
+	const busy = multiplexer1.open("busy")
+	const quiet = multiplexer1.open("quiet")
+	const sent = []
+	for (let i = 0; i < 4; i++) busy.sendAsync(i).then(() => sent.push(i))
+	await new Promise((resolve) => setImmediate(resolve))
+	// Only a window of messages is sent while the complement does not pull them
+	expect(sent).to.deep.equal([0, 1])
+
+	quiet.send("Still flowing")
+	const remoteBusy = multiplexer2.open("busy")
+	expect(await nextMessage(multiplexer2.open("quiet").messages)).to.deep.equal(["Still flowing"])
+	expect(remoteBusy.bufferedCount()).to.equal(2)
+
+	const received = []
+	for await (let [i] of remoteBusy.messages) {
+		received.push(i)
+		if (received.length === 4) break
+	}
+	expect(received).to.deep.equal([0, 1, 2, 3])
+	expect(sent).to.deep.equal([0, 1, 2, 3])
+})
+
+it('Closes channels on both ends, and every channel on disconnect', async () => {
+	const [multiplexer1, multiplexer2, socket1] = await createMultiplexerPair()
+	const channel = multiplexer1.open("closing")
+	channel.send("Last")
+	channel.close()
+	const remoteChannel = multiplexer2.open("closing")
+	const messages = []
+	for await (let message of remoteChannel.messages) messages.push(message)
+	expect(messages).to.deep.equal([["Last"]])
+
+	const remaining = multiplexer2.open("remaining")
+	socket1.disconnect()
+	await remaining.closed
+	expect(() => remaining.send("Too late")).to.throw()
+})
+
+it('Refuses objects that can not cross, using up one hop per message sent', async () => {
+	const [multiplexer1, multiplexer2] = await createMultiplexerPair({ window: 1 })
+	const channel = multiplexer1.open("tickets")
+	expect(() => channel.send(Connection.local({ secret: 1 }))).to.throw(TransferError)
+	let error
+	await channel.sendAsync(Connection.local({ secret: 2 })).catch((e) => error = e)
+	expect(error).to.be.instanceOf(TransferError)
+
+	// The second message waits for credit, but its hop is used up right away (and only once)
+	const tickets = [1, 2].map((seat) => Connection.transferable({ seat }, { hops: 1 }))
+	for (const ticket of tickets) channel.send(ticket)
+	expect(tickets.map(Connection.hopsLeft)).to.deep.equal([0, 0])
+	const remoteChannel = await nextMessage(multiplexer2.channels)
+	const received = []
+	for await (let [ticket] of remoteChannel.messages) {
+		received.push(ticket)
+		if (received.length === 2) break
+	}
+	expect(received).to.deep.equal(tickets)
+})
@@ -0,0 +1,63 @@
+import chai from 'chai'
+import { NetworkSimulator } from "../src/NetworkSimulator.js"
+import { Socket } from "../src/Socket.mjs"
+const expect = chai.expect
+
+// Sends numbered messages through a simulated link, and records when (and in which order) they arrive
+const simulate = async (seed, link) => {
+	const simulator = new NetworkSimulator({ seed })
+	const [connection1, connection2] = simulator.createPair(link)
+	const arrivals = []
+	; (async () => {
+		for await (let [number] of connection2.messages) arrivals.push([number, simulator.now()])
+	})()
+	for (let number = 0; number < 50; number++) {
+		connection1.send(number)
+		await simulator.advance(2)
+	}
+	await simulator.advance(1000)
+	return { arrivals, stats: simulator.stats() }
+}
+
+it('Delays, loses, duplicates and reorders messages, the same way for the same seed', async () => {
+	const link = { latency: 20, jitter: 10, loss: 0.1, duplication: 0.1, reordering: 0.2 }
+	const { arrivals, stats } = await simulate(42, link)
+	expect(await simulate(42, link)).to.deep.equal({ arrivals, stats })
+	expect(await simulate(7, link)).to.not.deep.equal({ arrivals, stats })
+
+	expect(stats.sent).to.equal(50)
+	expect(stats.lost).to.be.above(0)
+	expect(stats.duplicated).to.be.above(0)
+	expect(arrivals.length).to.equal(50 - stats.lost + stats.duplicated)
+	// Every message takes at least the latency minus the jitter (sent at 2ms intervals)
+	for (const [number, time] of arrivals) expect(time - number * 2).to.be.at.least(10)
+	const numbers = arrivals.map(([number]) => number)
+	expect(numbers).to.not.deep.equal([...numbers].sort((a, b) => a - b))
+
+	// Without reordering, messages arrive in order whatever their jitter
+	const inOrder = (await simulate(42, { latency: 20, jitter: 10 })).arrivals.map(([number]) => number)
+	expect(inOrder).to.deep.equal([...Array(50).keys()])
+})
+
+it('Partitions links, under sockets keeping their connection alive on the virtual clock', async () => {
+	const simulator = new NetworkSimulator({ seed: 1 })
+	const [port1, port2] = simulator.createPortPair({ latency: 10, partitions: [[1000, Infinity]] })
+	const options = { timers: simulator.timers, keepalive: { interval: 100, timeout: 50 } }
+	const [socket1, socket2] = await Promise.all([Socket.bridge(port1, options), Socket.bridge(port2, options)])
+	const closed = socket1.closed
+
+	socket1.send("Hello")
+	await simulator.advance(10)
+	for await (let message of socket2.messages) {
+		expect(message).to.deep.equal(["Hello"])
+		break
+	}
+	// Pings go through until the partition starts
+	await simulator.advance(900)
+	expect(socket1.isConnected()).to.be.true
+	expect(socket1.latency()).to.equal(20)
+	await simulator.advance(300)
+	const { reason } = await closed
+	expect(reason).to.equal("timeout")
+	expect(simulator.now()).to.equal(1210)
+})
@@ -0,0 +1,120 @@
+import chai from 'chai'
+import { Connection } from "../src/Connection.js"
+import { TimeoutError } from "../src/Errors.js"
+import { buffer, debounce, filter, map, merge, race, take, takeUntil, throttle, timeout, zip } from "../src/Operators.js"
+const expect = chai.expect
+
+const collect = async (iterable) => {
+	const messages = []
+	for await (let message of iterable) messages.push(message)
+	return messages
+}
+const wait = (time) => new Promise((resolve) => setTimeout(resolve, time))
+// Messages of a connection sending the ones provided, one every "interval" milliseconds, and closing afterwards
+const schedule = (messages, interval) => {
+	const connection = new Connection
+		; (async () => {
+			for (const message of messages) {
+				await wait(interval)
+				connection.send(message)
+			}
+			connection.close()
+		})()
+	return connection.messages
+}
+
+it('Maps, filters and takes messages', async () => {
+	const connection = new Connection
+	for (let number = 1; number <= 10; number++) connection.send(number)
+	connection.close()
+	const odd = filter(connection.messages, ([number]) => number % 2 === 1)
+	expect(await collect(take(map(odd, async ([number]) => number * 10), 3))).to.deep.equal([10, 30, 50])
+	// The messages not pulled are still there
+	expect(connection.bufferedCount()).to.equal(5)
+
+	const failing = new Connection
+	failing.send(1)
+	failing.error(new Error("Crash"))
+	let error
+	await collect(map(failing.messages, ([number]) => number)).catch((e) => error = e)
+	expect(error.message).to.equal("Crash")
+})
+
+it('Takes messages until notified, and times out', async () => {
+	const connection = new Connection
+	const controller = new AbortController()
+	const taken = collect(takeUntil(connection.messages, controller.signal))
+	connection.send(1)
+	connection.send(2)
+	await wait(5)
+	controller.abort()
+	expect(await taken).to.deep.equal([[1], [2]])
+	expect(await collect(takeUntil(schedule([1, 2, 3], 10), wait(15)))).to.deep.equal([[1]])
+
+	let error
+	await collect(timeout(schedule([1, 2], 50), 20)).catch((e) => error = e)
+	expect(error).to.be.instanceOf(TimeoutError)
+	expect(await collect(timeout(schedule([1, 2], 5), 50))).to.deep.equal([[1], [2]])
+})
+
+it('Debounces, throttles and buffers messages', async () => {
+	// Bursts of messages, 5ms apart, with 40ms of quiet in between
+	const bursts = () => {
+		const connection = new Connection
+			; (async () => {
+				for (const burst of [[1, 2, 3], [4, 5]]) {
+					for (const number of burst) {
+						connection.send(number)
+						await wait(5)
+					}
+					await wait(40)
+				}
+				connection.close()
+			})()
+		return connection
+	}
+	expect(await collect(debounce(bursts().messages, 20))).to.deep.equal([[3], [5]])
+	expect(await collect(throttle(bursts().messages, 20))).to.deep.equal([[1], [4]])
+	expect(await collect(buffer(bursts().messages, { time: 20 }))).to.deep.equal([[[1], [2], [3]], [[4], [5]]])
+	expect(await collect(buffer(bursts().messages, { count: 2 }))).to.deep.equal([[[1], [2]], [[3], [4]], [[5]]])
+})
+
+it('Merges, zips and races connections', async () => {
+	const merged = await collect(merge(schedule(["a1", "a2"], 10), schedule(["b1", "b2", "b3"], 15)))
+	expect(merged.sort()).to.deep.equal([["a1"], ["a2"], ["b1"], ["b2"], ["b3"]])
+	expect(await collect(zip(schedule(["a1", "a2"], 10), schedule(["b1", "b2", "b3"], 5)))).to.deep.equal([[["a1"], ["b1"]], [["a2"], ["b2"]]])
+	expect(await collect(race(schedule(["slow"], 30), schedule(["fast1", "fast2"], 5)))).to.deep.equal([["fast1"], ["fast2"]])
+
+	// Failing as soon as any merged connection fails
+	const failing = new Connection
+	setTimeout(() => failing.error(new Error("Crash")), 10)
+	let error
+	await collect(merge(schedule([1, 2, 3], 20), failing.messages)).catch((e) => error = e)
+	expect(error.message).to.equal("Crash")
+})
+
+it('Leaves the messages arriving after an iteration is over to the source', async () => {
+	const connection = new Connection
+	let error
+	await collect(timeout(connection.messages, 10)).catch((e) => error = e)
+	expect(error).to.be.instanceOf(TimeoutError)
+	connection.send("x")
+	connection.send("y")
+	for await (let message of connection.messages) {
+		expect(message).to.deep.equal(["x"])
+		break
+	}
+
+	const slow = new Connection
+	const fast = new Connection
+	setTimeout(() => fast.send("fast"), 5)
+	for await (let message of race(slow.messages, fast.messages)) {
+		expect(message).to.deep.equal(["fast"])
+		break
+	}
+	slow.send("slow")
+	for await (let message of slow.messages) {
+		expect(message).to.deep.equal(["slow"])
+		break
+	}
+})
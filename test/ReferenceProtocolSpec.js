@@ -0,0 +1,82 @@
+import chai from 'chai'
+import { Connection } from "../src/Connection.js"
+import { ConnectionClosedError, RemoteError } from "../src/Errors.js"
+import { ReferenceProtocol } from "../src/ReferenceProtocol.js"
+const expect = chai.expect
+
+const createProtocolPair = () => Connection.createPair().map((connection) => new ReferenceProtocol(connection))
+const nextMessage = async (protocol) => {
+	for await (let message of protocol.messages) return message
+}
+
+class Counter {
+	count = 0
+	settings = { step: 1 }
+	increment() { return this.count += this.settings.step }
+	// Calls back the (remote) listener provided
+	async notify(listener) { return listener(this.count) }
+}
+
+it('Exports objects and functions as remote references', async () => {
+	const [local, remote] = createProtocolPair()
+	const counter = new Counter
+	local.send("counter", counter, { double: (value) => value * 2 })
+	const [name, counterProxy, { double }] = await nextMessage(remote)
+
+	expect(name).to.equal("counter")
+	expect(await counterProxy.increment()).to.equal(1)
+	expect(await counterProxy.count).to.equal(1)
+	expect(await counterProxy.settings.step).to.equal(1)
+	expect(await double(21)).to.equal(42)
+	// Passing a function back, and sending a proxy back (which arrives as the original object)
+	expect(await counterProxy.notify((count) => count + 10)).to.equal(11)
+	remote.send(counterProxy)
+	expect((await nextMessage(local))[0]).to.equal(counter)
+})
+
+it('Revokes and releases references', async () => {
+	const [local, remote] = createProtocolPair()
+	const counter = new Counter
+	local.send(counter, () => "released")
+	const [counterProxy, functionProxy] = await nextMessage(remote)
+	expect(local.exportedCount()).to.equal(2)
+
+	local.revoke(counter)
+	let error
+	await counterProxy.increment().catch((e) => error = e)
+	expect(error).to.be.instanceOf(RemoteError)
+	expect(error.remoteName).to.equal("RevokedError")
+
+	remote.release(functionProxy)
+	await new Promise((resolve) => setImmediate(resolve))
+	expect(local.exportedCount()).to.equal(0)
+})
+
+it('Drops references when the connection ends', async () => {
+	const [connection1, connection2] = Connection.createPair()
+	const local = new ReferenceProtocol(connection1)
+	const remote = new ReferenceProtocol(connection2)
+	local.send(new Counter)
+	const [counterProxy] = await nextMessage(remote)
+	connection1.close()
+	connection2.close()
+	await new Promise((resolve) => setImmediate(resolve))
+	expect(local.exportedCount()).to.equal(0)
+	let error
+	await counterProxy.increment().catch((e) => error = e)
+	expect(error).to.be.instanceOf(ConnectionClosedError)
+})
+
+it('Refuses paths through prototypes and constructors', async () => {
+	const [local, remote] = createProtocolPair()
+	local.send(new Counter, (value) => value)
+	const [counterProxy, echo] = await nextMessage(remote)
+	for (const operation of [echo.constructor("return process.pid"), counterProxy.increment.constructor("return 1"), Promise.resolve(counterProxy.__proto__.increment), counterProxy.__lookupGetter__("__proto__"), Promise.resolve(counterProxy.constructor.prototype)]) {
+		let error
+		await operation.catch((e) => error = e)
+		expect(error).to.be.instanceOf(RemoteError)
+		expect(error.remoteName).to.equal("PermissionError")
+	}
+	// Own members still work
+	expect(await counterProxy.increment()).to.equal(1)
+})
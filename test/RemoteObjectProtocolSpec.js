@@ -0,0 +1,83 @@
+import chai from 'chai'
+import { Connection } from "../src/Connection.js"
+import { RemoteError } from "../src/Errors.js"
+import { RemoteObjectProtocol } from "../src/RemoteObjectProtocol.js"
+const expect = chai.expect
+
+class Counter {
+	count = 0
+	settings = { step: 1 }
+	constructor(count = 0) { this.count = count }
+	increment() { return this.count += this.settings.step }
+	async *countdown() {
+		for (let count = this.count; count > 0; count--) yield count
+	}
+}
+
+const collect = async (iterable) => {
+	const items = []
+	for await (let item of iterable) items.push(item)
+	return items
+}
+
+it('Forwards gets, calls and iterations to the remote target', async () => {
+	const [connection1, connection2] = Connection.createPair()
+	const target = {
+		counter: new Counter(3), Counter, items: ["a", "b"], greet: (name) => `Hello ${name}`,
+		bytes: () => new Uint8Array([1, 2]), map: () => new Map([["a", 1]]), *letters() { yield* "ab" }
+	}
+	new RemoteObjectProtocol(connection1, { target })
+	const { proxy, reflect } = new RemoteObjectProtocol(connection2)
+
+	expect(await proxy.greet("you")).to.equal("Hello you")
+	expect(await proxy.counter.increment()).to.equal(4)
+	expect(await proxy.counter.settings.step).to.equal(1)
+	expect(await collect(proxy.counter.countdown())).to.deep.equal([4, 3, 2, 1])
+	expect(await collect(proxy.items)).to.deep.equal(["a", "b"])
+	// Only async iterables and generators are kept remote, other results are copied (and can still be iterated)
+	expect(await proxy.bytes()).to.deep.equal(new Uint8Array([1, 2]))
+	expect(await proxy.map()).to.deep.equal(new Map([["a", 1]]))
+	expect(await collect(proxy.map())).to.deep.equal([["a", 1]])
+	expect(await collect(proxy.letters())).to.deep.equal(["a", "b"])
+	expect(await reflect.has(proxy, "counter")).to.equal(true)
+	expect(await reflect.ownKeys(proxy.counter)).to.deep.equal(["count", "settings"])
+	expect(() => "counter" in proxy).to.throw(TypeError)
+})
+
+it('Enforces the per-trap policies', async () => {
+	const [connection1, connection2] = Connection.createPair()
+	const target = { Counter, settings: { step: 1, secret: "s3cr3t" } }
+	new RemoteObjectProtocol(connection1, { target, policy: { set: (path) => path[0] === "settings", get: (path) => !path.includes("secret"), construct: true } })
+	const { proxy, reflect, release } = new RemoteObjectProtocol(connection2)
+
+	// Denied by the policy, or always denied
+	for (const operation of [proxy.settings.secret, reflect.deleteProperty(proxy, "settings"), reflect.set(proxy, "Counter", null), proxy.Counter.constructor("return 1")]) {
+		let error
+		await Promise.resolve(operation).catch((e) => error = e)
+		expect(error).to.be.instanceOf(RemoteError)
+		expect(error.remoteName).to.equal("PermissionError")
+	}
+
+	// Allowed calls can not do what the policy does not allow, through legacy accessors or code constructors
+	const [connection3, connection4] = Connection.createPair()
+	new RemoteObjectProtocol(connection3, { target: { settings: { step: 1 }, Function } })
+	const { proxy: defaultProxy } = new RemoteObjectProtocol(connection4)
+	for (const operation of [defaultProxy.__defineGetter__("x", () => 1), defaultProxy.settings.__defineSetter__("step", () => { }), defaultProxy.__lookupGetter__("__proto__"), defaultProxy.Function("return 1"), defaultProxy.settings.prototype]) {
+		let error
+		await Promise.resolve(operation).catch((e) => error = e)
+		expect(error).to.be.instanceOf(RemoteError)
+		expect(error.remoteName).to.equal("PermissionError")
+	}
+	expect(await defaultProxy.settings.step).to.equal(1)
+
+	expect(await reflect.set(proxy.settings, "step", 2)).to.equal(true)
+	proxy.settings.step = 3
+	expect(await proxy.settings.step).to.equal(3)
+	// Constructed objects stay remote, until released
+	const counter = await new proxy.Counter(5)
+	expect(await counter.increment()).to.equal(6)
+	release(counter)
+	let error
+	await Promise.resolve(counter.count).catch((e) => error = e)
+	expect(error.remoteName).to.equal("RevokedError")
+})
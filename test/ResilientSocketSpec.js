@@ -0,0 +1,108 @@
+import chai from 'chai'
+import { Connection } from "../src/Connection.js"
+import { ConnectError, TransferError } from "../src/Errors.js"
+import { ResilientSocket } from "../src/ResilientSocket.js"
+import { Socket } from "../src/Socket.mjs"
+const expect = chai.expect
+
+// Fake transport that can be killed (failing the sockets it connected) and restored
+const createFakeTransport = (server) => {
+	var available = true
+	var sockets = []
+	return {
+		connect: async () => {
+			if (!available) throw new Error("Transport is down")
+			const [clientSocket, serverSocket] = [new Socket, new Socket]
+			await clientSocket.connect(serverSocket.connect)
+			server.attach(serverSocket)
+			sockets = [clientSocket, serverSocket]
+			return clientSocket
+		},
+		kill: () => {
+			available = false
+			sockets[0].disconnect(new Error("Transport killed"))
+		},
+		restore: () => available = true
+	}
+}
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5))
+const take = async (iterable, count) => {
+	const messages = []
+	for await (let [message] of iterable) {
+		messages.push(message)
+		if (messages.length === count) return messages
+	}
+	return messages
+}
+
+it('Resumes the session across transports, with no duplicates and no gaps', async () => {
+	const server = new ResilientSocket
+	const transport = createFakeTransport(server)
+	const client = new ResilientSocket({ connect: transport.connect, backoff: { initial: 1, jitter: 0 } })
+	client.send(1)
+	client.send(2)
+	expect(await take(server.messages, 2)).to.deep.equal([1, 2])
+	expect(client.pendingCount()).to.equal(0)
+
+	transport.kill()
+	client.send(3)
+	client.send(4)
+	server.send("while down")
+	await tick()
+	expect(client.isConnected()).to.be.false
+	expect(client.pendingCount()).to.equal(2)
+
+	transport.restore()
+	client.send(5)
+	expect(await take(server.messages, 3)).to.deep.equal([3, 4, 5])
+	expect(await take(client.messages, 1)).to.deep.equal(["while down"])
+	expect(client.isConnected()).to.be.true
+	expect(client.pendingCount()).to.equal(0)
+
+	// Closing one end closes the other one
+	client.close()
+	expect(await take(server.messages, 1)).to.deep.equal([])
+})
+
+it('Backs off exponentially, and gives up after the retries', async () => {
+	const delays = []
+	const timers = {
+		setTimeout: (callback, delay) => {
+			delays.push(delay)
+			return setTimeout(callback)
+		},
+		clearTimeout
+	}
+	const client = new ResilientSocket({
+		connect: async () => { throw new Error("Unreachable") },
+		backoff: { initial: 100, factor: 2, max: 500, jitter: 0.5 },
+		retries: 4,
+		timers,
+		random: () => 0.5
+	})
+	let error
+	try { for await (let message of client.messages); }
+	catch (e) { error = e }
+	expect(error).to.be.instanceOf(ConnectError)
+	expect(delays).to.deep.equal([150, 300, 375, 375])
+})
+
+it('Refuses objects that can not cross, and replays the others without using up their hops again', async () => {
+	const server = new ResilientSocket
+	const transport = createFakeTransport(server)
+	const client = new ResilientSocket({ connect: transport.connect, backoff: { initial: 1, jitter: 0 } })
+	expect(() => client.send(Connection.local({ secret: 1 }))).to.throw(TransferError)
+	client.send("before")
+	expect(await take(server.messages, 1)).to.deep.equal(["before"])
+
+	transport.kill()
+	const ticket = Connection.transferable({ seat: 12 }, { hops: 1 })
+	client.send(ticket)
+	client.send("after")
+	await tick()
+	transport.restore()
+	expect(await take(server.messages, 2)).to.deep.equal([ticket, "after"])
+	expect(Connection.hopsLeft(ticket)).to.equal(0)
+	expect(client.pendingCount()).to.equal(0)
+	client.close()
+})
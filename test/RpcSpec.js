@@ -0,0 +1,70 @@
+import chai from 'chai'
+import { Connection } from "../src/Connection.js"
+import { ConnectionClosedError, RemoteError, TimeoutError } from "../src/Errors.js"
+import { Rpc } from "../src/Rpc.js"
+const expect = chai.expect
+
+const createRpcPair = (options) => Connection.createPair().map((connection) => new Rpc(connection, options))
+
+it('Calls exposed methods, with concurrent calls in flight', async () => {
+	const [client, server] = createRpcPair()
+	server.expose({
+		factor: 2,
+		multiply(value) { return value * this.factor },
+		// Resolving after the given delay, so later calls can return first
+		async delay(milliseconds, value) {
+			await new Promise((resolve) => setTimeout(resolve, milliseconds))
+			return value
+		}
+	})
+	const order = []
+	const results = await Promise.all([
+		client.call("delay", 20, "slow").then((value) => order.push(value)),
+		client.call("delay", 0, "fast").then((value) => order.push(value)),
+		client.call("multiply", 21)
+	])
+	expect(results[2]).to.equal(42)
+	expect(order).to.deep.equal(["fast", "slow"])
+})
+
+it('Rethrows remote errors locally', async () => {
+	const [client, server] = createRpcPair()
+	server.expose({ fail() { throw new TypeError("Remote failure") } })
+	let error
+	await client.call("fail").catch((e) => error = e)
+	expect(error).to.be.instanceOf(RemoteError)
+	expect(error.message).to.equal("Remote failure")
+	expect(error.remoteName).to.equal("TypeError")
+	await client.call("missing").catch((e) => error = e)
+	expect(error.message).to.equal('Unknown method: "missing"')
+})
+
+it('Times out and cancels calls', async () => {
+	const [client, server] = createRpcPair({ timeout: 10 })
+	server.expose({ never: () => new Promise(() => { }) })
+	let error
+	await client.call("never").catch((e) => error = e)
+	expect(error).to.be.instanceOf(TimeoutError)
+
+	const controller = new AbortController()
+	const call = client.callWith({ timeout: Infinity, signal: controller.signal }, "never").catch((e) => error = e)
+	controller.abort()
+	await call
+	expect(error.name).to.equal("AbortError")
+})
+
+it('Relays other messages, and rejects pending calls when the connection closes', async () => {
+	const [connection1, connection2] = Connection.createPair()
+	const client = new Rpc(connection1)
+	new Rpc(connection2).expose({ never: () => new Promise(() => { }) })
+	connection2.send("Not", "a", "call")
+	for await (let message of client.messages) {
+		expect(message).to.deep.equal(["Not", "a", "call"])
+		break
+	}
+	const call = client.call("never")
+	connection1.close()
+	let error
+	await call.catch((e) => error = e)
+	expect(error).to.be.instanceOf(ConnectionClosedError)
+})
@@ -0,0 +1,69 @@
+import chai from 'chai'
+import { Connection } from "../src/Connection.js"
+import { SharedMap } from "../src/SharedMap.js"
+const expect = chai.expect
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5))
+const contentOf = (map) => Object.fromEntries(map.entries())
+
+it('Converges concurrent writes, and reports changes', async () => {
+	// Replicas a - b - c, linked by pairs of connections (b forwards between a and c)
+	const [a, b, c] = ["a", "b", "c"].map((id) => new SharedMap({ id }))
+	const [ab, ba] = Connection.createPair()
+	const [bc, cb] = Connection.createPair()
+	a.attach(ab)
+	b.attach(ba)
+	b.attach(bc)
+	c.attach(cb)
+	const changes = []
+	; (async () => {
+		for await (let change of c.changes) changes.push(change)
+	})()
+
+	a.set("color", "red")
+	await tick()
+	expect(c.get("color")).to.equal("red")
+	// Concurrent writes: same clock, so the highest replica id wins everywhere
+	a.set("size", 1)
+	c.set("size", 3)
+	c.set("shape", "square")
+	await tick()
+	for (const map of [a, b, c]) expect(contentOf(map)).to.deep.equal({ color: "red", size: 3, shape: "square" })
+
+	expect(b.delete("color")).to.be.true
+	await tick()
+	expect(a.has("color")).to.be.false
+	expect(c.size).to.equal(2)
+	expect(changes.map(({ key, value, deleted, local }) => [key, value, deleted, local])).to.deep.equal([
+		["color", "red", false, false], ["size", 3, false, true], ["shape", "square", false, true], ["color", undefined, true, false]
+	])
+})
+
+it('Syncs late joiners with a snapshot, and then with deltas, over a ring', async () => {
+	const ring = Connection.createCycle(2)
+	const [a, b] = ring.members.map((member, index) => {
+		const map = new SharedMap({ id: String(index) })
+		map.attach(member)
+		return map
+	})
+	a.set("x", 1)
+	b.set("y", 2)
+	b.delete("x")
+	await tick()
+
+	const late = new SharedMap({ id: "late" })
+	const attachment = late.attach(ring.join())
+	await tick()
+	expect(contentOf(late)).to.deep.equal({ y: 2 })
+	expect(late.has("x")).to.be.false
+	late.set("z", 3)
+	await tick()
+	expect(contentOf(a)).to.deep.equal({ y: 2, z: 3 })
+
+	// Detached replicas stop syncing
+	attachment.detach()
+	a.set("y", 20)
+	await tick()
+	expect(late.get("y")).to.equal(2)
+	expect(b.get("y")).to.equal(20)
+})
@@ -1,5 +1,8 @@
 import chai from 'chai'
+import { Connection } from "../src/Connection.js"
+import { NetworkSimulator } from "../src/NetworkSimulator.js"
 import { Socket } from "../src/Socket.mjs"
+import { BufferOverflowError, ConnectError, ConnectionClosedError, TimeoutError, TransferError } from "../src/Errors.js"
 const expect = chai.expect
 
 it('Connects and disconnects', async () => {
@@ -84,4 +87,270 @@ const myMessages = []
 		})()
 
 
- */
\ No newline at end of file
+ */
+it('Resolves async sends once the complement pulls the message', async () => {
+	const [socket1, socket2] = Socket.getConnectedPair()
+	await null
+	var delivered = false
+	const delivery = socket1.sendAsync("Hello", "world").then(() => delivered = true)
+	await null
+	expect(delivered).to.be.false
+
+	const iterator = socket2.messages[Symbol.asyncIterator]()
+	expect((await iterator.next()).value).to.deep.equal(["Hello", "world"])
+	await delivery
+	expect(delivered).to.be.true
+	await iterator.return()
+
+	// Sending from a disconnected socket rejects
+	let error
+	await new Socket().sendAsync("Hello").catch((e) => error = e)
+	expect(error).to.be.instanceOf(ConnectionClosedError)
+	expect(error.message).to.equal("Socket is not connected")
+	error = null
+	await new Socket().ping().catch((e) => error = e)
+	expect(error).to.be.instanceOf(ConnectionClosedError)
+})
+
+it('Ends message iterations on disconnect, and can be connected again', async () => {
+	const socket1 = new Socket
+	const socket2 = new Socket
+	await socket2.connect(socket1.connect)
+	const iteration = (async () => {
+		const messages = []
+		for await (let message of socket2.messages) messages.push(message)
+		return messages
+	})()
+	socket1.send("Hello")
+	socket1.disconnect()
+	expect(await iteration).to.deep.equal([["Hello"]])
+
+	await socket2.connect(socket1.connect)
+	socket1.send("Hello again")
+	for await (let message of socket2.messages) {
+		expect(message).to.deep.equal(["Hello again"])
+		break
+	}
+})
+
+it('Mints one time, counted, expiring, bound and revocable connect tokens', async () => {
+	const socket = new Socket
+	const connectFailure = (complement, token) => complement.connect(token).then(() => null, (error) => error)
+
+	const oneTime = socket.mint({ uses: 1 })
+	const complement = new Socket
+	await complement.connect(oneTime)
+	expect(socket.isConnected()).to.be.true
+	complement.disconnect()
+	expect(await connectFailure(complement, oneTime)).to.be.instanceOf(ConnectError)
+
+	const expiring = socket.mint({ ttl: 0 })
+	await new Promise((resolve) => setTimeout(resolve, 2))
+	expect((await connectFailure(complement, expiring)).message).to.equal("Connect token has expired")
+
+	const bound = socket.mint({ complement })
+	expect((await connectFailure(new Socket, bound)).message).to.equal("Connect token is bound to another complement")
+	await complement.connect(bound)
+	expect(complement.isConnected()).to.be.true
+	// A connected socket can not be connected to by another complement
+	expect(await connectFailure(new Socket, socket.mint())).to.be.instanceOf(ConnectError)
+	complement.disconnect()
+
+	bound.revoke()
+	expect((await connectFailure(complement, bound)).message).to.equal("Connect token has been revoked")
+})
+
+it('Reports lifecycle transitions', async () => {
+	const socket1 = new Socket
+	const socket2 = new Socket
+	const collectStates = async (socket, count) => {
+		const states = []
+		for await (let { state, reason } of socket.states) {
+			states.push(reason ? `${state} (${reason})` : state)
+			if (states.length === count) return states
+		}
+	}
+	const states1 = collectStates(socket1, 4)
+	const states2 = collectStates(socket2, 4)
+	const connected = socket1.connected
+	// Each connection has a single "closed" promise, which, before the first connection, waits for the first connection to end
+	const closed1 = socket1.closed
+	expect(socket1.closed).to.equal(closed1)
+	const settledEarly = await Promise.race([closed1.then(() => true), new Promise((resolve) => setImmediate(() => resolve(false)))])
+	expect(settledEarly).to.be.false
+	await socket2.connect(socket1.connect)
+	await connected
+	expect(socket1.connected).to.equal(connected)
+
+	socket1.disconnect()
+	expect(await states1).to.deep.equal(["disconnected", "connected", "disconnecting (local)", "disconnected (local)"])
+	expect(await states2).to.deep.equal(["disconnected", "connected", "disconnecting (remote)", "disconnected (remote)"])
+	expect(await closed1).to.deep.equal({ state: "disconnected", reason: "local", error: null })
+	expect(socket1.closed).to.equal(closed1)
+
+	// Disconnecting with an error fails the complement's iterations with it
+	await socket2.connect(socket1.connect)
+	const failure = new Error("Crash")
+	const closed = socket2.closed
+	const iteration = (async () => {
+		try { for await (let message of socket2.messages); }
+		catch (error) { return error }
+	})()
+	expect(socket1.closed).to.not.equal(closed1)
+	socket1.disconnect(failure)
+	expect(await closed).to.deep.equal({ state: "errored", reason: "remote", error: failure })
+	expect(await iteration).to.equal(failure)
+})
+
+it('Measures latency, and disconnects from peers that stop answering pings', async () => {
+	// Timers running on the simulator's virtual clock, which only fire when advancing it
+	const simulator = new NetworkSimulator
+	const socket = new Socket({ keepalive: { interval: 1000, timeout: 500 }, timers: simulator.timers })
+	// Complement that only answers when told to (like a peer on the other side of a bridge)
+	const written = []
+	var receive
+	await socket.connect(async () => (socketReceive, socketDisconnect, socketConnectionOffer, socketControl) => {
+		receive = socketControl
+		socketConnectionOffer((message) => written.push(message), () => { }, undefined, (type, id) => written.push([type, id]))
+	})
+	expect(socket.latency()).to.be.null
+
+	await simulator.advance(1000)
+	expect(written).to.deep.equal([["ping", 1]])
+	await simulator.advance(120)
+	receive("pong", 1)
+	expect(socket.latency()).to.equal(120)
+	expect(socket.isConnected()).to.be.true
+
+	// The next ping is never answered
+	const closed = socket.closed
+	await simulator.advance(1380)
+	expect(written).to.deep.equal([["ping", 1], ["ping", 2]])
+	expect(socket.isConnected()).to.be.true
+	await simulator.advance(500)
+	const { state, reason, error } = await closed
+	expect([state, reason]).to.deep.equal(["errored", "timeout"])
+	expect(error).to.be.instanceOf(TimeoutError)
+})
+
+it('Disconnects idle connections, and answers pings without keepalive', async () => {
+	const simulator = new NetworkSimulator
+	const socket1 = new Socket({ keepalive: { interval: Infinity, idleTimeout: 1000 }, timers: simulator.timers })
+	const socket2 = new Socket
+	await socket2.connect(socket1.connect)
+	expect(await socket1.ping()).to.be.a("number")
+	expect(await socket2.ping()).to.be.a("number")
+
+	// Messages from the complement keep the connection alive
+	await simulator.advance(600)
+	socket2.send("Still here")
+	await simulator.advance(600)
+	expect(socket1.isConnected()).to.be.true
+
+	const closed = socket2.closed
+	await simulator.advance(400)
+	const { reason, error } = await closed
+	expect(reason).to.equal("remote")
+	expect(error).to.be.instanceOf(TimeoutError)
+})
+
+it('Keeps control frames apart from messages', async () => {
+	const socket1 = new Socket
+	const socket2 = new Socket
+	await socket1.connect(socket2.connect)
+	socket1.send("keepalive:ping", 1)
+	socket1.send("keepalive:pong", 1)
+	expect(await socket2.ping()).to.be.a("number")
+	const messages = []
+	for await (let message of socket2.messages) {
+		messages.push(message)
+		if (messages.length === 2) break
+	}
+	expect(messages).to.deep.equal([["keepalive:ping", 1], ["keepalive:pong", 1]])
+})
+
+it('Runs messages through pipeline stages, for as long as the socket is connected', async () => {
+	const [socket1, socket2] = Socket.getConnectedPair()
+	const piped = socket1.pipe({
+		inbound: (message) => ["received", ...message],
+		outbound: (message) => ["sent", ...message]
+	})
+	piped.send("Hello")
+	for await (let message of socket2.messages) {
+		expect(message).to.deep.equal(["sent", "Hello"])
+		break
+	}
+	socket2.send("Hi")
+	for await (let message of piped.messages) {
+		expect(message).to.deep.equal(["received", "Hi"])
+		break
+	}
+
+	// Disconnecting ends the piped connection, and closing the piped connection disconnects the socket
+	socket2.disconnect()
+	await piped.closed
+	await socket1.connect(socket2.connect)
+	const repiped = socket1.pipe({})
+	repiped.close()
+	await socket1.closed
+	expect(socket2.isConnected()).to.be.false
+})
+
+it('Aborts pending connections', async () => {
+	const socket = new Socket
+	const controller = new AbortController()
+	// Complement that never makes its connection offer
+	const connecting = socket.connect(() => new Promise(() => { }), { signal: controller.signal })
+	controller.abort()
+	let error
+	await connecting.catch((e) => error = e)
+	expect(error.name).to.equal("AbortError")
+	expect(socket.isConnected()).to.be.false
+	// The socket can still connect afterwards
+	await socket.connect(new Socket().connect)
+	expect(socket.isConnected()).to.be.true
+
+	// Connect capabilities returning the offer itself (rather than a promise of it) can be aborted too
+	const offer = await new Socket().connect()
+	const otherSocket = new Socket
+	await otherSocket.connect(() => offer, { signal: new AbortController().signal })
+	expect(otherSocket.isConnected()).to.be.true
+})
+
+it('Enforces transfer policies, counting hops as objects are forwarded', async () => {
+	// Peers A, B and C, where B forwards what it gets from A to C
+	const [a, b1, b2, c] = [new Socket, new Socket, new Socket, new Socket]
+	await a.connect(b1.connect)
+	await b2.connect(c.connect)
+	const key = Connection.local({ secret: "s3cr3t" })
+	const ticket = Connection.transferable({ seat: 12 }, { hops: 1 })
+
+	expect(() => a.send({ nested: [key] })).to.throw(TransferError)
+	let error
+	await a.sendAsync(new Map([["key", key]])).catch((e) => error = e)
+	expect(error).to.be.instanceOf(TransferError)
+	// Failed sends use up no hops
+	expect(() => a.send(ticket, key)).to.throw(TransferError)
+	expect(Connection.hopsLeft(ticket)).to.equal(1)
+	// And so do sends the complement could not take
+	const [full, sender] = [new Socket({ capacity: 1, overflow: "throw" }), new Socket]
+	await sender.connect(full.connect)
+	sender.send("Filling the buffer")
+	expect(() => sender.send(ticket)).to.throw(BufferOverflowError)
+	await sender.sendAsync(ticket).catch((e) => error = e)
+	expect(error).to.be.instanceOf(BufferOverflowError)
+	expect(Connection.hopsLeft(ticket)).to.equal(1)
+
+	a.send("ticket", ticket)
+	for await (let [, forwardedTicket] of b1.messages) {
+		expect(forwardedTicket).to.equal(ticket)
+		expect(() => b2.send(forwardedTicket)).to.throw(TransferError)
+		break
+	}
+	expect(Connection.hopsLeft(ticket)).to.equal(0)
+	b2.send({ seat: 12 })
+	for await (let [copy] of c.messages) {
+		expect(copy).to.deep.equal({ seat: 12 })
+		break
+	}
+})